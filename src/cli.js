@@ -1,13 +1,19 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
+import { existsSync } from 'fs';
 import { 
   saveProfile, 
   loadProfile, 
   listLocalProfiles,
   deleteLocalProfile,
-  showProfileInfo
+  showProfileInfo,
+  mergeProfiles,
+  showProfileHistory,
+  rollbackProfile,
+  undoLastLoad,
+  verifyProfile
 } from './commands/local.js';
 import { 
   listMarketplace, 
@@ -15,16 +21,44 @@ import {
   installFromMarketplace,
   showMarketplaceInfo
 } from './commands/marketplace.js';
-import { 
-  publishProfile,
-  setRepository 
-} from './commands/publish.js';
-import { getConfig } from './utils/config.js';
+import { publishProfile } from './commands/publish.js';
+import { addRegistry, removeRegistry, setRegistryPriority, listRegistries, setDefaultRepository } from './commands/registries.js';
+import { mirrorMarketplace } from './commands/mirror.js';
+import { syncProject } from './commands/sync.js';
+import { showStatus } from './commands/status.js';
+import { diffProfiles } from './commands/diff.js';
+import { showBackups, restoreBackup, pruneBackups } from './commands/backups.js';
+import { exportProfile, importProfile } from './commands/archive.js';
+import { generateKeys, listKeys, trustKey, untrustKey } from './commands/keys.js';
+import { getConfig, setClaudeDirOptions, resolveClaudeDir, getClaudeDirCandidates, CLAUDE_DIR_SCOPES } from './utils/config.js';
+import { describeRegistry, getRegistryType } from './utils/providers.js';
+import { EXIT_CODES, ERROR_CODES, setJsonMode, isJsonMode, withJsonOutput, exitWithJsonError } from './utils/output.js';
+import { setNonInteractive } from './utils/prompts.js';
 
 const VERSION = '1.1.6';
 
 const program = new Command();
 
+// Commands that can print --json output, by their path after cpm
+const JSON_COMMANDS = [
+  'list', 'search', 'local', 'info', 'config', 'status', 'diff', 'history', 'verify',
+  'backups list', 'repo list', 'keys list'
+];
+
+// The path of a command after cpm, e.g. "backups list"
+function getCommandPath(command) {
+  const names = [];
+  for (let current = command; current !== program; current = current.parent) {
+    names.unshift(current.name());
+  }
+  return names.join(' ');
+}
+
+// Collect a repeatable option into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 // Banner
 const banner = `
 ${chalk.cyan('   ____ ____  __  __')}
@@ -40,7 +74,36 @@ program
   .name('cpm')
   .description('Save, share, and load Claude CLI profiles')
   .version(VERSION)
-  .addHelpText('before', banner);
+  .option('--json', 'Print one JSON document instead of text (list, search, local, info, config, status, diff, history, verify, backups list, repo list, keys list)')
+  .option('-y, --yes', 'Never prompt: confirm changes and use defaults (also --non-interactive or CPM_NONINTERACTIVE=1)')
+  .option('--non-interactive', 'Same as --yes')
+  .addOption(new Option('--scope <scope>', 'Use the project (./.claude) or user (~/.claude) folder').choices(CLAUDE_DIR_SCOPES).conflicts('claudeDir'))
+  .option('--claude-dir <path>', 'Use this .claude folder (also CPM_CLAUDE_DIR)')
+  .addHelpText('before', banner)
+  .exitOverride(error => {
+    // Usage errors get their own exit status; --help and --version exit 0
+    process.exit(error.exitCode === 0 ? EXIT_CODES.ok : EXIT_CODES.usage);
+  })
+  .configureOutput({
+    // Usage errors (unknown options, missing arguments) as JSON too
+    outputError: (message, write) => {
+      if (program.opts().json) {
+        exitWithJsonError(ERROR_CODES.usage, message.replace(/^error: /, '').trim());
+      }
+      write(message);
+    }
+  })
+  .hook('preAction', (thisCommand, actionCommand) => {
+    const globalOptions = program.opts();
+    setJsonMode(globalOptions.json);
+    setNonInteractive(globalOptions.yes || globalOptions.nonInteractive || process.env.CPM_NONINTERACTIVE === '1');
+    setClaudeDirOptions({ scope: globalOptions.scope, claudeDir: globalOptions.claudeDir });
+
+    const commandPath = getCommandPath(actionCommand);
+    if (isJsonMode() && !JSON_COMMANDS.includes(commandPath)) {
+      exitWithJsonError(ERROR_CODES.usage, `cpm ${commandPath} has no --json output`);
+    }
+  });
 
 // ============================================================================
 // Local Profile Commands
@@ -52,17 +115,36 @@ program
   .option('-d, --description <desc>', 'Profile description')
   .option('-t, --tags <tags>', 'Comma-separated tags')
   .option('--include-secrets', 'Include sensitive files (use with caution)')
+  .option('--allow-secrets', 'Save even if file contents look like they contain secrets')
+  .option('-u, --update', 'Save a new version of an existing profile, keeping the old one in its history')
+  .option('--bump <level>', 'Version part to bump with --update: patch, minor or major (default: patch)')
   .action(async (name, options) => {
     await saveProfile(name, options);
   });
 
 program
-  .command('load <name>')
+  .command('load <names...>')
   .description('Load a profile (local or from marketplace)')
   .option('-f, --force', 'Overwrite existing .claude folder without prompting')
   .option('--backup', 'Backup current .claude folder before loading')
+  .option('--no-backup', 'Don\'t backup or ask about it')
   .option('--marketplace', 'Load from marketplace instead of local')
-  .action(async (name, options) => {
+  .option('--merge', 'Layer the profiles, in order, on top of the current .claude folder')
+  .option('--strategy <strategy>', 'How --merge resolves conflicting files: error, last-wins or skip', 'last-wins')
+  .option('--set <key=value>', 'Set a profile variable (repeatable)', collect, [])
+  .option('--values <file>', 'Read profile variable values from a JSON file')
+  .action(async (names, options) => {
+    if (options.merge) {
+      await mergeProfiles(names, options);
+      return;
+    }
+
+    if (names.length > 1) {
+      console.log(chalk.red('✗ Loading several profiles requires --merge'));
+      process.exit(EXIT_CODES.usage);
+    }
+
+    const [name] = names;
     if (options.marketplace || name.includes('/')) {
       await installFromMarketplace(name, options);
     } else {
@@ -70,12 +152,30 @@ program
     }
   });
 
+program
+  .command('undo')
+  .description('Revert the most recent profile load, install or backup restore')
+  .option('-f, --force', 'Undo without prompting')
+  .action(async (options) => {
+    await undoLastLoad(options);
+  });
+
+program
+  .command('status')
+  .description('Show the active profile and the files changed since it was applied')
+  .addOption(new Option('--save', 'Save the changes back to the active local profile as a new version').conflicts('discard'))
+  .option('--discard', 'Load the active local profile again, dropping the changes (undo with cpm undo)')
+  .option('--bump <level>', 'Version part to bump with --save: patch, minor or major (default: patch)')
+  .action(withJsonOutput(async (options) => {
+    return showStatus(options);
+  }));
+
 program
   .command('local')
   .description('List locally saved profiles')
-  .action(async () => {
-    await listLocalProfiles();
-  });
+  .action(withJsonOutput(async () => {
+    return listLocalProfiles();
+  }));
 
 program
   .command('delete <name>')
@@ -89,12 +189,89 @@ program
   .command('info <name>')
   .description('Show detailed info about a profile')
   .option('--marketplace', 'Show marketplace profile info')
-  .action(async (name, options) => {
+  .option('--offline', 'Use the offline mirror only (see cpm mirror)')
+  .action(withJsonOutput(async (name, options) => {
     if (options.marketplace || name.includes('/')) {
-      await showMarketplaceInfo(name);
-    } else {
-      await showProfileInfo(name);
+      return showMarketplaceInfo(name, options);
     }
+    return showProfileInfo(name);
+  }));
+
+program
+  .command('verify <name>')
+  .description('Check a saved profile\'s files against its recorded checksums')
+  .action(withJsonOutput(async (name) => {
+    return verifyProfile(name);
+  }));
+
+program
+  .command('history <name>')
+  .description('List the saved revisions of a local profile')
+  .action(withJsonOutput(async (name) => {
+    return showProfileHistory(name);
+  }));
+
+program
+  .command('rollback <name> <version>')
+  .description('Restore a previous revision of a local profile')
+  .action(async (name, version) => {
+    await rollbackProfile(name, version);
+  });
+
+program
+  .command('diff <a> [b]')
+  .description('Show what loading a profile would change, or compare two profiles')
+  .option('--stat', 'Only show a per-file summary of changes')
+  .action(withJsonOutput(async (a, b, options) => {
+    return diffProfiles(a, b, options);
+  }));
+
+program
+  .command('export <name>')
+  .description('Pack a local profile into a portable .tgz archive')
+  .option('-o, --output <file>', 'Archive path (default: <name>.tgz)')
+  .action(async (name, options) => {
+    await exportProfile(name, options);
+  });
+
+program
+  .command('import <file>')
+  .description('Import a profile archive created with cpm export')
+  .option('--as <name>', 'Save the profile under a different name')
+  .option('-f, --force', 'Replace an existing profile with the same name')
+  .action(async (file, options) => {
+    await importProfile(file, options);
+  });
+
+const backups = program
+  .command('backups')
+  .description('List, restore and prune .claude backups');
+
+backups
+  .command('list')
+  .description('List backups created by --backup')
+  .action(withJsonOutput(async () => {
+    return showBackups();
+  }));
+
+backups
+  .command('restore <id>')
+  .description('Restore a backup into the .claude folder it was taken from')
+  .option('-f, --force', 'Restore without prompting')
+  .option('--backup', 'Backup current .claude folder before restoring')
+  .option('--no-backup', 'Don\'t backup or ask about it')
+  .action(async (id, options) => {
+    await restoreBackup(id, options);
+  });
+
+backups
+  .command('prune')
+  .description('Delete old backups')
+  .option('--keep <n>', 'Always keep the newest n backups')
+  .option('--older-than <age>', 'Only delete backups older than this (e.g. 30d, 12h, 2w)')
+  .option('-f, --force', 'Delete without confirmation')
+  .action(async (options) => {
+    await pruneBackups(options);
   });
 
 // ============================================================================
@@ -107,26 +284,62 @@ program
   .description('Browse profiles in the marketplace')
   .option('-c, --category <category>', 'Filter by category')
   .option('--refresh', 'Force refresh the marketplace index')
-  .action(async (options) => {
-    await listMarketplace(options);
-  });
+  .option('--offline', 'Use the offline mirror only (see cpm mirror)')
+  .action(withJsonOutput(async (options) => {
+    return listMarketplace(options);
+  }));
 
 program
-  .command('search <query>')
-  .description('Search the marketplace')
-  .action(async (query) => {
-    await searchMarketplace(query);
-  });
+  .command('search [query]')
+  .description('Search the marketplace (ranked by name, tags, contents and description)')
+  .option('--has <categories>', 'Only profiles with these kinds of content, e.g. commands,hooks')
+  .option('--has-command <name>', 'Only profiles with this slash command')
+  .option('--author <author>', 'Only profiles by this author')
+  .option('--tag <tag>', 'Only profiles with this tag')
+  .option('--offline', 'Use the offline mirror only (see cpm mirror)')
+  .action(withJsonOutput(async (query, options) => {
+    return searchMarketplace(query, options);
+  }));
 
 program
-  .command('install <profile>')
-  .description('Install a profile from the marketplace (format: author/name)')
+  .command('install [profile]')
+  .description('Install a profile from the marketplace ([registry:]author/name[@version|@git-ref]), a directory, a profile.json URL or git+https://repo#[ref:]folder')
   .option('-f, --force', 'Overwrite existing .claude folder')
   .option('--backup', 'Backup current config before installing')
+  .option('--no-backup', 'Don\'t backup or ask about it')
+  .option('--set <key=value>', 'Set a profile variable (repeatable)', collect, [])
+  .option('--values <file>', 'Read profile variable values from a JSON file')
+  .option('--offline', 'Install from the offline mirror only (see cpm mirror)')
+  .option('--frozen', 'Install exactly what cpm-lock.json records, failing on any difference')
   .action(async (profile, options) => {
     await installFromMarketplace(profile, options);
   });
 
+program
+  .command('sync')
+  .description('Install exactly the profiles listed in the project\'s .cpm.json')
+  .option('-f, --force', 'Replace .claude content without prompting')
+  .option('--backup', 'Backup each .claude folder before changing it')
+  .option('--no-backup', 'Don\'t backup or ask about it')
+  .option('--check', 'Only report whether .claude matches .cpm.json (exit 1 if not)')
+  .option('--set <key=value>', 'Set a profile variable (repeatable)', collect, [])
+  .option('--values <file>', 'Read profile variable values from a JSON file')
+  .option('--offline', 'Use the offline mirror only (see cpm mirror)')
+  .option('--frozen', 'Install exactly what each cpm-lock.json records, failing on any difference')
+  .action(async (options) => {
+    await syncProject(options);
+  });
+
+program
+  .command('mirror')
+  .description('Download marketplace profiles for offline use')
+  .option('--profiles <list>', 'Comma-separated profiles to mirror (author/name or registry:author/name)')
+  .option('--all', 'Mirror every profile in every registry')
+  .option('--update', 'Refresh the mirror, downloading only what changed')
+  .action(async (options) => {
+    await mirrorMarketplace(options);
+  });
+
 // ============================================================================
 // Publishing Commands
 // ============================================================================
@@ -134,17 +347,89 @@ program
 program
   .command('publish <name>')
   .description('Publish a local profile to the marketplace')
+  .option('--sign', 'Sign profile.json and its file checksums with your key (see cpm keys generate)')
+  .option('--allow-secrets', 'Publish even if file contents look like they contain secrets')
+  .option('--registry <alias>', 'Registry to publish to (default: the highest-priority writable one)')
+  .option('--author <name>', 'Author name for local registries (default: your user name)')
   .action(async (name, options) => {
     await publishProfile(name, options);
   });
 
-program
-  .command('repo <repository>')
-  .description('Set custom marketplace repository (format: owner/repo)')
+const keys = program
+  .command('keys')
+  .description('Manage profile signing keys');
+
+keys
+  .command('generate')
+  .description('Generate an ed25519 key for signing published profiles')
+  .option('-f, --force', 'Replace an existing key')
+  .action(async (options) => {
+    await generateKeys(options);
+  });
+
+keys
+  .command('list')
+  .description('Show your signing key and trusted author keys')
+  .action(withJsonOutput(async () => {
+    return listKeys();
+  }));
+
+keys
+  .command('trust <author> <publicKey>')
+  .description('Trust a public key for profiles published by an author')
+  .action(async (author, publicKey) => {
+    await trustKey(author, publicKey);
+  });
+
+keys
+  .command('untrust <author> <keyId>')
+  .description('Stop trusting a key for an author')
+  .action(async (author, keyId) => {
+    await untrustKey(author, keyId);
+  });
+
+const repo = program
+  .command('repo')
+  .description('Manage marketplace registries')
+  // Deprecated: cpm repo <owner/repo> from before registries
+  .argument('[repository]')
   .action(async (repository) => {
-    await setRepository(repository);
+    if (!repository) {
+      repo.help();
+    }
+    await setDefaultRepository(repository);
+  });
+
+repo
+  .command('add <alias> <location>')
+  .description('Add a marketplace registry (GitHub owner/repo, an http(s):// URL, or a directory path)')
+  .option('-p, --priority <n>', 'Position in the search order (1 is searched first); default is last')
+  .option('-b, --branch <branch>', 'Branch to read the index and latest profiles from (default: main)')
+  .action(async (alias, location, options) => {
+    await addRegistry(alias, location, options);
+  });
+
+repo
+  .command('remove <alias>')
+  .description('Remove a marketplace registry')
+  .action(async (alias) => {
+    await removeRegistry(alias);
+  });
+
+repo
+  .command('priority <alias> <n>')
+  .description('Move a registry to a new position in the search order')
+  .action(async (alias, n) => {
+    await setRegistryPriority(alias, n);
   });
 
+repo
+  .command('list')
+  .description('List marketplace registries in priority order')
+  .action(withJsonOutput(async () => {
+    return listRegistries();
+  }));
+
 // ============================================================================
 // Utility Commands  
 // ============================================================================
@@ -152,14 +437,38 @@ program
 program
   .command('config')
   .description('Show current configuration')
-  .action(async () => {
+  .action(withJsonOutput(async () => {
     const config = await getConfig();
+    const active = resolveClaudeDir();
+    const candidates = getClaudeDirCandidates();
+
+    if (isJsonMode()) {
+      return {
+        profilesDir: config.profilesDir,
+        claudeDir: config.claudeDir,
+        claudeDirScope: active.scope,
+        claudeDirReason: active.reason,
+        claudeDirCandidates: Object.fromEntries(Object.entries(candidates).map(([scope, dir]) => [scope, { path: dir, exists: existsSync(dir) }])),
+        cacheDir: config.cacheDir,
+        registries: config.registries.map(r => ({
+          alias: r.alias,
+          type: getRegistryType(r),
+          location: describeRegistry(r),
+          branch: r.branch || null
+        }))
+      };
+    }
+
     console.log(banner);
     console.log(chalk.bold('Configuration:\n'));
     console.log(`  ${chalk.cyan('Profiles Directory:')} ${config.profilesDir}`);
-    console.log(`  ${chalk.cyan('Claude Directory:')}   ${config.claudeDir}`);
-    console.log(`  ${chalk.cyan('Marketplace Repo:')}   ${config.marketplaceRepo}`);
+    console.log(`  ${chalk.cyan('Claude Directory:')}   ${config.claudeDir} ${chalk.dim(`(${active.scope}, ${active.reason})`)}`);
+    for (const [scope, dir] of Object.entries(candidates)) {
+      const marker = dir === config.claudeDir ? chalk.green('✓ active') : chalk.dim(existsSync(dir) ? 'exists' : 'not found');
+      console.log(`    ${chalk.dim(`${scope}:`.padEnd(9))}${dir} ${marker}`);
+    }
+    console.log(`  ${chalk.cyan('Registries:')}         ${config.registries.map(r => `${r.alias} (${describeRegistry(r)})`).join(', ')}`);
     console.log(`  ${chalk.cyan('Cache Directory:')}    ${config.cacheDir}`);
-  });
+  }));
 
 program.parse();
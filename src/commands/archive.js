@@ -0,0 +1,91 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { existsSync, mkdtempSync, rmSync, cpSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { getProfilePath, isValidProfileName } from '../utils/config.js';
+import { readProfileMetadata, deriveContents } from '../utils/snapshot.js';
+import { packProfile, unpackProfile } from '../utils/archive.js';
+import { EXIT_CODES, ERROR_CODES, getExitCode } from '../utils/output.js';
+import { CpmError } from '../utils/errors.js';
+
+/**
+ * Export a local profile as a portable .tgz archive
+ */
+export async function exportProfile(name, options) {
+  const profilePath = getProfilePath(name);
+
+  if (!existsSync(profilePath) || !readProfileMetadata(name)) {
+    console.log(chalk.red(`✗ Profile not found: ${name}`));
+    console.log(chalk.dim('  List local profiles with: cpm local'));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const outFile = resolve(options.output || `${name}.tgz`);
+  const spinner = ora('Packing profile...').start();
+
+  try {
+    await packProfile(profilePath, outFile);
+    spinner.succeed(chalk.green(`Exported ${chalk.bold(name)} to ${outFile}`));
+    console.log('');
+    console.log(chalk.dim('Import it elsewhere with:'));
+    console.log(chalk.cyan(`  cpm import ${outFile}`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Export failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Import a profile archive into the local profiles directory
+ */
+export async function importProfile(file, options) {
+  const archivePath = resolve(file);
+
+  if (!existsSync(archivePath)) {
+    console.log(chalk.red(`✗ File not found: ${file}`));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const spinner = ora('Validating archive...').start();
+  const tempDir = mkdtempSync(join(tmpdir(), 'cpm-import-'));
+
+  try {
+    const metadata = await unpackProfile(archivePath, tempDir);
+    const name = options.as || metadata.name;
+
+    if (!name || !isValidProfileName(name)) {
+      throw new CpmError(ERROR_CODES.validation, `Invalid profile name "${name || ''}". Use --as <name> to choose one.`);
+    }
+
+    const profilePath = getProfilePath(name);
+    if (existsSync(profilePath)) {
+      if (!options.force) {
+        throw new CpmError(ERROR_CODES.conflict, `Profile "${name}" already exists. Use --as <name> to import under a different name, or --force to replace it.`);
+      }
+      rmSync(profilePath, { recursive: true, force: true });
+    }
+
+    metadata.name = name;
+    writeFileSync(join(tempDir, 'profile.json'), JSON.stringify(metadata, null, 2));
+    cpSync(tempDir, profilePath, { recursive: true });
+
+    spinner.succeed(chalk.green(`Imported profile: ${chalk.bold(name)}`));
+
+    const contents = metadata.contents || deriveContents(metadata.files || []);
+    for (const [category, items] of Object.entries(contents)) {
+      if (items && items.length > 0) {
+        console.log(chalk.dim(`  ${category}: `) + items.join(', '));
+      }
+    }
+
+    console.log('');
+    console.log(chalk.dim('Load it with:'));
+    console.log(chalk.cyan(`  cpm load ${name}`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Import failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  } finally {
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+}
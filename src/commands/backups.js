@@ -0,0 +1,180 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { existsSync, cpSync } from 'fs';
+import { getConfig } from '../utils/config.js';
+import { runProfileTransaction } from '../utils/transaction.js';
+import {
+  createBackup,
+  listBackups,
+  findBackup,
+  deleteBackup,
+  parseDuration,
+  selectBackupsToPrune
+} from '../utils/backups.js';
+import { confirmAction, confirmBackup } from '../utils/prompts.js';
+import { clearActiveState } from '../utils/state.js';
+import { EXIT_CODES, ERROR_CODES, isJsonMode, getExitCode } from '../utils/output.js';
+import { CpmError } from '../utils/errors.js';
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * List all .claude backups
+ */
+export async function showBackups() {
+  const backups = listBackups();
+
+  if (isJsonMode()) {
+    return {
+      backups: backups.map(({ id, createdAt, source, trigger, size, path }) => ({ id, createdAt, source, trigger, size, path }))
+    };
+  }
+
+  console.log('');
+  console.log(chalk.bold('Backups'));
+  console.log(chalk.dim('─'.repeat(50)));
+  console.log('');
+
+  if (backups.length === 0) {
+    console.log(chalk.dim('  No backups found.'));
+    console.log('');
+    console.log(chalk.dim('  Backups are created by: ') + chalk.cyan('cpm load <n> --backup'));
+    console.log('');
+    return;
+  }
+
+  for (const backup of backups) {
+    console.log(`  ${chalk.cyan(backup.id)} ${chalk.dim(new Date(backup.createdAt).toLocaleString())}`);
+    console.log(chalk.dim(`    From:    `) + (backup.source || chalk.dim('Unknown')));
+    console.log(chalk.dim(`    Before:  `) + (backup.trigger ? `cpm ${backup.trigger}` : chalk.dim('Unknown')));
+    console.log(chalk.dim(`    Size:    `) + formatSize(backup.size));
+    console.log('');
+  }
+
+  console.log(chalk.dim('Commands:'));
+  console.log(chalk.dim('  Restore: ') + chalk.cyan('cpm backups restore <id>'));
+  console.log(chalk.dim('  Prune:   ') + chalk.cyan('cpm backups prune --keep <n> --older-than <age>'));
+  console.log('');
+}
+
+/**
+ * Restore a backup into the .claude folder it was taken from, as a
+ * transaction that `cpm undo` can revert
+ */
+export async function restoreBackup(id, options) {
+  const backup = findBackup(id);
+
+  if (!backup) {
+    console.log(chalk.red(`✗ Backup not found: ${id}`));
+    console.log(chalk.dim('  List backups with: cpm backups list'));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const config = await getConfig();
+  const targetDir = backup.source || config.claudeDir;
+
+  console.log('');
+  console.log(chalk.bold('Backup: ') + chalk.cyan(backup.id) + chalk.dim(` (${new Date(backup.createdAt).toLocaleString()})`));
+  console.log(chalk.dim('Target: ') + targetDir);
+  console.log('');
+
+  if (existsSync(targetDir) && !options.force) {
+    if (!await confirmAction('This will replace your current .claude configuration with the backup. Continue?')) {
+      console.log(chalk.yellow('Aborted.'));
+      process.exit(0);
+    }
+
+    options.backup = await confirmBackup(options);
+  }
+
+  const spinner = ora('Restoring backup...').start();
+
+  try {
+    if (options.backup && existsSync(targetDir)) {
+      createBackup(targetDir, { trigger: `backups restore ${backup.id}` });
+    }
+
+    // Profile content is replaced, everything else is merged over in place.
+    // The backup's mcp.json comes back as it was, not merged.
+    await runProfileTransaction(targetDir, {
+      stage: stagingDir => cpSync(backup.path, stagingDir, { recursive: true }),
+      trigger: `backups restore ${backup.id}`,
+      mergeMcp: false
+    });
+    // The restored files belong to no profile; undo brings the state back
+    clearActiveState(targetDir);
+
+    spinner.succeed(chalk.green(`Restored backup ${chalk.bold(backup.id)}`));
+
+    if (options.backup) {
+      console.log(chalk.dim('  Previous config backed up'));
+    }
+    console.log(chalk.dim('  Changed your mind? Run: cpm undo'));
+
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to restore backup: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Delete old backups
+ */
+export async function pruneBackups(options) {
+  if (options.keep === undefined && options.olderThan === undefined) {
+    console.log(chalk.red('✗ Specify --keep <n>, --older-than <age>, or both.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  let keep;
+  let olderThan;
+  try {
+    if (options.keep !== undefined) {
+      keep = parseInt(options.keep, 10);
+      if (isNaN(keep) || keep < 0) {
+        throw new CpmError(ERROR_CODES.validation, `Invalid --keep value "${options.keep}". Use a non-negative number.`);
+      }
+    }
+    if (options.olderThan !== undefined) {
+      olderThan = parseDuration(options.olderThan);
+    }
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  const toDelete = selectBackupsToPrune(listBackups(), { keep, olderThan });
+
+  if (toDelete.length === 0) {
+    console.log(chalk.green('✓ No backups to prune.'));
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Backups to delete (${toDelete.length}):`));
+  for (const backup of toDelete) {
+    console.log(`  ${chalk.cyan(backup.id)} ${chalk.dim(new Date(backup.createdAt).toLocaleString() + ' • ' + formatSize(backup.size))}`);
+  }
+  console.log('');
+
+  if (!options.force) {
+    if (!await confirmAction(`Delete ${toDelete.length} backup(s)? This cannot be undone.`)) {
+      console.log(chalk.yellow('Aborted.'));
+      process.exit(0);
+    }
+  }
+
+  for (const backup of toDelete) {
+    deleteBackup(backup);
+  }
+
+  const freed = toDelete.reduce((sum, backup) => sum + backup.size, 0);
+  console.log(chalk.green(`✓ Deleted ${toDelete.length} backup(s), freed ${formatSize(freed)}`));
+}
@@ -0,0 +1,164 @@
+import chalk from 'chalk';
+import { getFileCategory } from '../utils/snapshot.js';
+import { unifiedDiff, countLineChanges } from '../utils/diff.js';
+import { readClaudeDirSource, readProfileSource } from '../utils/sources.js';
+import { decodeText, isSameContent } from '../utils/text.js';
+import { isJsonMode, createSpinner, getExitCode } from '../utils/output.js';
+
+// Display labels for content categories
+const CATEGORY_LABELS = {
+  commands: 'Commands',
+  skills: 'Skills',
+  mcp: 'MCP Servers',
+  mcp_servers: 'MCP Servers',
+  agents: 'Agents',
+  plugins: 'Plugins',
+  hooks: 'Hooks',
+  instructions: 'Instructions',
+  other: 'Other'
+};
+
+/**
+ * Compare two file maps and group the differences by content category.
+ * Entries hold the text of both sides, or `binary` when either isn't text.
+ */
+export function compareFileSets(fromFiles, toFiles) {
+  const paths = [...new Set([...fromFiles.keys(), ...toFiles.keys()])].sort();
+  const categories = {};
+
+  for (const path of paths) {
+    const before = fromFiles.get(path);
+    const after = toFiles.get(path);
+
+    let status;
+    if (before === undefined) status = 'added';
+    else if (after === undefined) status = 'removed';
+    else if (!isSameContent(before, after)) status = 'changed';
+    else continue;
+
+    const beforeText = before === undefined ? '' : decodeText(before);
+    const afterText = after === undefined ? '' : decodeText(after);
+    const binary = beforeText === null || afterText === null;
+
+    const category = getFileCategory(path) || 'other';
+    if (!categories[category]) categories[category] = [];
+    categories[category].push({ path, status, binary, before: binary ? null : beforeText, after: binary ? null : afterText });
+  }
+
+  return categories;
+}
+
+/**
+ * Print a unified diff for a single changed file
+ */
+function printFileDiff(entry) {
+  const fromName = entry.status === 'added' ? '/dev/null' : `a/${entry.path}`;
+  const toName = entry.status === 'removed' ? '/dev/null' : `b/${entry.path}`;
+
+  const hunks = entry.binary ? null : unifiedDiff(entry.before, entry.after);
+  if (!hunks) {
+    console.log(chalk.dim(entry.binary
+      ? `Binary files ${fromName} and ${toName} differ`
+      : `Files ${fromName} and ${toName} differ (too many changes to show)`));
+    console.log('');
+    return;
+  }
+
+  console.log(chalk.bold(`--- ${fromName}`));
+  console.log(chalk.bold(`+++ ${toName}`));
+
+  for (const hunk of hunks) {
+    console.log(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) console.log(chalk.green(line));
+      else if (line.startsWith('-')) console.log(chalk.red(line));
+      else console.log(chalk.dim(line));
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Show the differences between two profile sources.
+ * With only `a`, shows what `cpm load a` would change in .claude.
+ */
+export async function diffProfiles(a, b, options = {}) {
+  const spinner = createSpinner('Reading profiles...');
+
+  let from;
+  let to;
+  try {
+    // Without b, compare the live .claude folder against profile a
+    [from, to] = b
+      ? [await readProfileSource(a), await readProfileSource(b)]
+      : [await readClaudeDirSource(), await readProfileSource(a)];
+    spinner.stop();
+  } catch (error) {
+    if (isJsonMode()) throw error;
+    spinner.fail(chalk.red(`Diff failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  const categories = compareFileSets(from.files, to.files);
+  const entries = Object.values(categories).flat();
+
+  if (isJsonMode()) {
+    return {
+      from: from.label,
+      to: to.label,
+      files: Object.entries(categories).flatMap(([category, items]) => items.map(entry => {
+        const changes = entry.binary ? null : countLineChanges(entry.before, entry.after);
+        return {
+          path: entry.path,
+          category,
+          status: entry.status,
+          binary: entry.binary,
+          added: changes ? changes.added : null,
+          removed: changes ? changes.removed : null
+        };
+      }))
+    };
+  }
+
+  console.log('');
+  console.log(chalk.bold('Diff: ') + chalk.cyan(from.label) + chalk.dim(' → ') + chalk.cyan(to.label));
+  console.log(chalk.dim('─'.repeat(50)));
+  console.log('');
+
+  if (entries.length === 0) {
+    console.log(chalk.green('  No differences.'));
+    console.log('');
+    return;
+  }
+
+  const markers = {
+    added: chalk.green('+'),
+    removed: chalk.red('-'),
+    changed: chalk.yellow('~')
+  };
+
+  for (const [category, items] of Object.entries(categories)) {
+    console.log(chalk.bold(CATEGORY_LABELS[category] || category));
+    for (const entry of items) {
+      let line = `  ${markers[entry.status]} ${entry.path}`;
+      if (options.stat) {
+        const changes = entry.binary ? null : countLineChanges(entry.before, entry.after);
+        line += chalk.dim(' | ') + (changes
+          ? chalk.green(`+${changes.added}`) + ' ' + chalk.red(`-${changes.removed}`)
+          : chalk.dim(entry.binary ? 'binary' : 'too many changes to count'));
+      }
+      console.log(line);
+    }
+    console.log('');
+  }
+
+  if (!options.stat) {
+    for (const entry of entries) {
+      printFileDiff(entry);
+    }
+  }
+
+  const count = status => entries.filter(e => e.status === status).length;
+  console.log(chalk.dim(`${count('added')} added, ${count('removed')} removed, ${count('changed')} changed`));
+  console.log('');
+}
@@ -0,0 +1,116 @@
+import chalk from 'chalk';
+import { getConfig, updateConfig } from '../utils/config.js';
+import { generateSigningKey, getSigningPublicKey, getKeyId } from '../utils/signing.js';
+import { EXIT_CODES, isJsonMode, getExitCode } from '../utils/output.js';
+
+/**
+ * Generate the local ed25519 signing key used by `cpm publish --sign`
+ */
+export async function generateKeys(options) {
+  try {
+    const { publicKey, keyId, path } = generateSigningKey({ force: options.force });
+
+    console.log(chalk.green(`✓ Generated signing key ${chalk.bold(keyId)}`));
+    console.log(chalk.dim('  Private key: ') + path);
+    console.log('');
+    console.log(chalk.bold('Public key') + chalk.dim(' (share this so others can trust your profiles):'));
+    console.log(`  ${publicKey}`);
+    console.log('');
+    console.log(chalk.dim('Others trust it with:'));
+    console.log(chalk.cyan(`  cpm keys trust <your-github-username> ${publicKey}`));
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Show the local signing key and all trusted author keys
+ */
+export async function listKeys() {
+  const config = await getConfig();
+  const own = getSigningPublicKey();
+
+  if (isJsonMode()) {
+    return {
+      signingKey: own ? { keyId: own.keyId, publicKey: own.publicKey } : null,
+      trustedKeys: Object.fromEntries(Object.entries(config.trustedKeys || {})
+        .filter(([, keys]) => keys.length > 0)
+        .map(([author, keys]) => [author, keys.map(key => ({ keyId: getKeyId(key), publicKey: key }))]))
+    };
+  }
+
+  console.log('');
+  console.log(chalk.bold('Signing Key'));
+  console.log(chalk.dim('─'.repeat(50)));
+  if (own) {
+    console.log(`  ${chalk.cyan(own.keyId)}`);
+    console.log(chalk.dim(`  ${own.publicKey}`));
+  } else {
+    console.log(chalk.dim('  None. Create one with: ') + chalk.cyan('cpm keys generate'));
+  }
+
+  console.log('');
+  console.log(chalk.bold('Trusted Keys'));
+  console.log(chalk.dim('─'.repeat(50)));
+
+  const authors = Object.entries(config.trustedKeys || {}).filter(([, keys]) => keys.length > 0);
+  if (authors.length === 0) {
+    console.log(chalk.dim('  None. Trust an author with: ') + chalk.cyan('cpm keys trust <author> <public-key>'));
+  }
+  for (const [author, keys] of authors) {
+    console.log(`  ${chalk.cyan(author)}`);
+    for (const key of keys) {
+      console.log(chalk.dim(`    ${getKeyId(key)}  ${key}`));
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Trust a public key for profiles published by an author
+ */
+export async function trustKey(author, publicKey) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(publicKey) || Buffer.from(publicKey, 'base64').length !== 44) {
+    console.log(chalk.red('✗ Invalid public key. Use the base64 key printed by: cpm keys generate'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const config = await getConfig();
+  const trustedKeys = { ...(config.trustedKeys || {}) };
+  const keys = trustedKeys[author] || [];
+
+  if (keys.includes(publicKey)) {
+    console.log(chalk.yellow(`Key ${getKeyId(publicKey)} is already trusted for ${author}.`));
+    return;
+  }
+
+  trustedKeys[author] = [...keys, publicKey];
+  await updateConfig({ trustedKeys });
+
+  console.log(chalk.green(`✓ Trusted key ${chalk.bold(getKeyId(publicKey))} for ${chalk.bold(author)}`));
+}
+
+/**
+ * Stop trusting a key (by key id or full public key) for an author
+ */
+export async function untrustKey(author, key) {
+  const config = await getConfig();
+  const trustedKeys = { ...(config.trustedKeys || {}) };
+  const keys = trustedKeys[author] || [];
+  const remaining = keys.filter(k => k !== key && getKeyId(k) !== key);
+
+  if (remaining.length === keys.length) {
+    console.log(chalk.red(`✗ No trusted key ${key} for ${author}`));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  if (remaining.length > 0) {
+    trustedKeys[author] = remaining;
+  } else {
+    delete trustedKeys[author];
+  }
+  await updateConfig({ trustedKeys });
+
+  console.log(chalk.green(`✓ Removed trusted key ${chalk.bold(key)} for ${chalk.bold(author)}`));
+}
@@ -1,16 +1,31 @@
 import chalk from 'chalk';
 import ora from 'ora';
-import inquirer from 'inquirer';
-import { existsSync, rmSync, readdirSync, statSync } from 'fs';
+import { existsSync, rmSync } from 'fs';
 import { join } from 'path';
 import {
   createSnapshot,
   extractSnapshot,
   readProfileMetadata,
   listLocalProfileNames,
-  deriveContents
+  deriveContents,
+  writeProfileFiles,
+  readProfileFiles
 } from '../utils/snapshot.js';
-import { getConfig, claudeDirExists, getProfilePath } from '../utils/config.js';
+import { getConfig, claudeDirExists, describeClaudeDir, resolveClaudeDir, getProfilePath, isValidProfileName } from '../utils/config.js';
+import { readClaudeDirSource, readProfileSource } from '../utils/sources.js';
+import { composeLayers, MERGE_STRATEGIES } from '../utils/merge.js';
+import { listRevisions, restoreRevision } from '../utils/history.js';
+import { createBackup } from '../utils/backups.js';
+import { verifyFiles } from '../utils/integrity.js';
+import { runProfileTransaction, getLastTransaction, undoLastTransaction } from '../utils/transaction.js';
+import { resolveSecretValues, fillSecretPlaceholders } from '../utils/placeholders.js';
+import { resolveVariableValues, renderTemplateFiles, saveValues, parseSetOptions } from '../utils/variables.js';
+import { EXIT_CODES, ERROR_CODES, isJsonMode, getExitCode } from '../utils/output.js';
+import { confirmAction, confirmBackup, chooseMcpConflicts } from '../utils/prompts.js';
+import { recordActiveProfiles, getActiveState } from '../utils/state.js';
+import { MCP_FILE, mergeMcpFile } from '../utils/mcp.js';
+import { CpmError } from '../utils/errors.js';
+import { isSameContent } from '../utils/text.js';
 
 // Display labels for content categories
 const CATEGORY_LABELS = {
@@ -56,22 +71,40 @@ function formatContentsLines(contents, indent = '    ') {
  */
 export async function saveProfile(name, options) {
   // Validate name
-  if (!/^[a-z0-9][a-z0-9-_]*[a-z0-9]$|^[a-z0-9]$/i.test(name)) {
+  if (!isValidProfileName(name)) {
     console.log(chalk.red('✗ Invalid profile name. Use alphanumeric characters, hyphens, and underscores.'));
-    process.exit(1);
+    process.exit(EXIT_CODES.usage);
   }
   
   if (!claudeDirExists()) {
     console.log(chalk.red('✗ Claude directory (.claude) not found.'));
     console.log(chalk.dim('  Make sure Claude CLI is installed and configured.'));
-    process.exit(1);
+    process.exit(EXIT_CODES.notFound);
   }
   
-  const spinner = ora('Creating profile snapshot...').start();
+  if (options.bump && !options.update) {
+    console.log(chalk.red('✗ --bump only applies to a new version: use it with --update.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  if (options.bump && !['patch', 'minor', 'major'].includes(options.bump)) {
+    console.log(chalk.red(`✗ Invalid bump level: ${options.bump}. Use patch, minor or major.`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  console.log(chalk.dim('Source: ') + describeClaudeDir());
+  const spinner = ora(options.update ? 'Updating profile snapshot...' : 'Creating profile snapshot...').start();
   
   try {
     const result = await createSnapshot(name, options);
-    spinner.succeed(chalk.green(`Profile saved: ${chalk.bold(name)}`));
+    // The .claude folder now matches this profile
+    recordActiveProfiles(resolveClaudeDir().dir, [{ name, source: 'local', version: result.metadata.version }], { trigger: `save ${name}` });
+
+    if (result.metadata.updatedAt) {
+      spinner.succeed(chalk.green(`Profile updated: ${chalk.bold(name)} ${chalk.dim('v' + result.metadata.version)}`));
+    } else {
+      spinner.succeed(chalk.green(`Profile saved: ${chalk.bold(name)}`));
+    }
 
     console.log('');
     console.log(chalk.dim('  Location: ') + result.profileDir);
@@ -97,7 +130,7 @@ export async function saveProfile(name, options) {
     
   } catch (error) {
     spinner.fail(chalk.red(`Failed to save profile: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
@@ -111,7 +144,7 @@ export async function loadProfile(name, options) {
     console.log(chalk.red(`✗ Profile not found: ${name}`));
     console.log(chalk.dim('  List local profiles with: cpm local'));
     console.log(chalk.dim('  Browse marketplace with:  cpm list'));
-    process.exit(1);
+    process.exit(EXIT_CODES.notFound);
   }
   
   const metadata = readProfileMetadata(name);
@@ -122,40 +155,40 @@ export async function loadProfile(name, options) {
   if (metadata?.description) {
     console.log(chalk.dim(metadata.description));
   }
+  console.log(chalk.dim('Target: ') + describeClaudeDir());
   console.log('');
   
   // Confirm if .claude exists and no force flag
   if (claudeDirExists() && !options.force) {
-    const { confirm } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'confirm',
-      message: 'This will replace your current .claude configuration. Continue?',
-      default: false
-    }]);
-    
-    if (!confirm) {
+    if (!await confirmAction('This will replace your current .claude configuration. Continue?')) {
       console.log(chalk.yellow('Aborted.'));
       process.exit(0);
     }
     
-    // Ask about backup
-    if (!options.backup) {
-      const { backup } = await inquirer.prompt([{
-        type: 'confirm', 
-        name: 'backup',
-        message: 'Backup current .claude folder first?',
-        default: true
-      }]);
-      options.backup = backup;
-    }
+    options.backup = await confirmBackup(options);
     
     options.force = true;
   }
+
+  // Values for secrets replaced by placeholders when the profile was
+  // saved, and for the {{variables}} it declares
+  try {
+    options.secretValues = await resolveSecretValues(metadata?.secrets);
+    options.variableValues = await resolveVariableValues(name, metadata?.variables, options);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
   
   const spinner = ora('Loading profile...').start();
   
   try {
-    const result = await extractSnapshot(name, options);
+    const result = await extractSnapshot(name, { ...options, onMcpConflicts: conflicts => chooseMcpConflicts(conflicts, spinner) });
+    saveValues(name, options.variableValues);
+    recordActiveProfiles(result.claudeDir, [{ name, source: 'local', version: metadata?.version || '1.0.0' }], {
+      trigger: `load ${name}`,
+      mcpServers: result.mcpServers
+    });
     spinner.succeed(chalk.green(`Profile loaded: ${chalk.bold(name)}`));
     
     if (options.backup) {
@@ -167,7 +200,168 @@ export async function loadProfile(name, options) {
     
   } catch (error) {
     spinner.fail(chalk.red(`Failed to load profile: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Layer several local or marketplace profiles, in order, on top of the
+ * current .claude folder instead of replacing it. Conflicts are only
+ * between the profiles: their files always replace what .claude has.
+ */
+export async function mergeProfiles(names, options) {
+  const strategy = options.strategy || 'last-wins';
+
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    console.log(chalk.red(`✗ Invalid strategy: ${strategy}`));
+    console.log(chalk.dim(`  Use one of: ${MERGE_STRATEGIES.join(', ')}`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const spinner = ora('Resolving profiles...').start();
+  const layers = [];
+  let current;
+
+  try {
+    current = await readClaudeDirSource();
+    for (const name of names) {
+      spinner.text = `Reading ${name}...`;
+      layers.push(await readProfileSource(name));
+    }
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to resolve profiles: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  // Fill secrets and {{variables}} before comparing files with .claude
+  let result;
+  const variableValues = new Map();
+  try {
+    for (const layer of layers) {
+      if (!layer.secrets?.length && !layer.variables) continue;
+
+      const secretValues = await resolveSecretValues(layer.secrets);
+      const values = await resolveVariableValues(layer.name, layer.variables, { ...options, strict: false });
+      variableValues.set(layer.name, values);
+
+      const filled = renderTemplateFiles(
+        fillSecretPlaceholders(
+          [...layer.files].map(([path, content]) => ({ path, content })),
+          layer.secrets,
+          secretValues
+        ),
+        layer.variables,
+        values
+      );
+      layer.files = new Map(filled.map(file => [file.path, file.content]));
+    }
+
+    const declared = layers.flatMap(layer => Object.keys(layer.variables || {}));
+    const unknown = Object.keys(parseSetOptions(options.set)).filter(name => !declared.includes(name));
+    if (unknown.length > 0) {
+      throw new CpmError(ERROR_CODES.validation, `Unknown variable(s): ${unknown.join(', ')}`);
+    }
+
+    result = composeLayers(layers, strategy);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  console.log('');
+  console.log(chalk.bold('Merging profiles ') + chalk.dim(`(strategy: ${strategy})`));
+  names.forEach((name, i) => {
+    console.log(chalk.dim(`  ${i + 1}. `) + chalk.cyan(name));
+  });
+  console.log(chalk.dim('Target: ') + describeClaudeDir());
+  console.log('');
+
+  if (result.conflicts.length > 0) {
+    console.log(chalk.yellow(`⚠ ${result.conflicts.length} conflicting file(s):`));
+    for (const conflict of result.conflicts) {
+      const resolution = strategy === 'error' ? '' : chalk.dim(` → ${conflict.winner}`);
+      console.log(`  ${conflict.path} ${chalk.dim('(' + conflict.sources.join(', ') + ')')}${resolution}`);
+    }
+    console.log('');
+
+    if (strategy === 'error') {
+      console.log(chalk.red('✗ Aborted: conflicts found. Use --strategy last-wins or skip to resolve them.'));
+      process.exit(EXIT_CODES.conflict);
+    }
+  }
+
+  // Only files that differ from what .claude already has need writing;
+  // mcp.json is compared as it will be after merging into the current one
+  const config = await getConfig();
+  const toWrite = [];
+  try {
+    for (const [path, file] of result.files) {
+      let wanted = file.content;
+      if (path === MCP_FILE) {
+        ({ content: wanted } = await mergeMcpFile(config.claudeDir, file.content, {
+          owned: getActiveState(config.claudeDir)?.mcpServers || [],
+          replace: false
+        }));
+      }
+      if (!current.files.has(path) || !isSameContent(current.files.get(path), wanted)) {
+        toWrite.push({ path, content: file.content });
+      }
+    }
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  if (toWrite.length === 0) {
+    console.log(chalk.green('✓ Nothing to change. Your .claude folder already contains these profiles.'));
+    return;
+  }
+
+  if (claudeDirExists() && !options.force) {
+    if (!await confirmAction(`This will write ${toWrite.length} file(s) into your current .claude configuration. Continue?`)) {
+      console.log(chalk.yellow('Aborted.'));
+      process.exit(0);
+    }
+
+    options.backup = await confirmBackup(options);
+  }
+
+  const applySpinner = ora('Applying profiles...').start();
+
+  try {
+    if (options.backup && existsSync(config.claudeDir)) {
+      createBackup(config.claudeDir, { trigger: `load --merge ${names.join(' ')}` });
+    }
+
+    const { mcpServers } = await runProfileTransaction(config.claudeDir, {
+      stage: stagingDir => writeProfileFiles(stagingDir, toWrite),
+      clean: false,
+      trigger: `load --merge ${names.join(' ')}`,
+      onMcpConflicts: conflicts => chooseMcpConflicts(conflicts, applySpinner)
+    });
+
+    for (const [ref, values] of variableValues) {
+      saveValues(ref, values);
+    }
+
+    // The merged profiles are active on top of whatever already was
+    const merged = layers.map(({ name, source, version }) => ({ name, source, version }));
+    const previous = (getActiveState(config.claudeDir)?.profiles || []).filter(p => !names.includes(p.name));
+    recordActiveProfiles(config.claudeDir, [...previous, ...merged], { trigger: `load --merge ${names.join(' ')}`, mcpServers });
+
+    applySpinner.succeed(chalk.green(`Merged ${names.length} profile(s): ${chalk.bold(names.join(', '))}`));
+
+    if (options.backup) {
+      console.log(chalk.dim('  Previous config backed up'));
+    }
+
+    console.log('');
+    console.log(chalk.green('✓ Your Claude CLI is now configured with these profiles.'));
+
+  } catch (error) {
+    applySpinner.fail(chalk.red(`Failed to merge profiles: ${error.message}`));
+    process.exit(getExitCode(error));
   }
 }
 
@@ -176,6 +370,23 @@ export async function loadProfile(name, options) {
  */
 export async function listLocalProfiles() {
   const profiles = listLocalProfileNames();
+
+  if (isJsonMode()) {
+    return {
+      profiles: profiles.map(name => {
+        const metadata = readProfileMetadata(name);
+        return {
+          name,
+          version: metadata?.version || '1.0.0',
+          description: metadata?.description || null,
+          tags: metadata?.tags || [],
+          contents: getContents(metadata),
+          createdAt: metadata?.createdAt || null,
+          updatedAt: metadata?.updatedAt || null
+        };
+      })
+    };
+  }
   
   console.log('');
   console.log(chalk.bold('Local Profiles'));
@@ -242,18 +453,11 @@ export async function deleteLocalProfile(name, options) {
   
   if (!existsSync(profilePath)) {
     console.log(chalk.red(`✗ Profile not found: ${name}`));
-    process.exit(1);
+    process.exit(EXIT_CODES.notFound);
   }
   
   if (!options.force) {
-    const { confirm } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'confirm',
-      message: `Delete profile "${name}"? This cannot be undone.`,
-      default: false
-    }]);
-    
-    if (!confirm) {
+    if (!await confirmAction(`Delete profile "${name}"? This cannot be undone.`)) {
       console.log(chalk.yellow('Aborted.'));
       process.exit(0);
     }
@@ -270,11 +474,35 @@ export async function showProfileInfo(name) {
   const profilePath = getProfilePath(name);
   
   if (!existsSync(profilePath)) {
+    if (isJsonMode()) {
+      throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${name}`);
+    }
     console.log(chalk.red(`✗ Profile not found: ${name}`));
-    process.exit(1);
+    process.exit(EXIT_CODES.notFound);
   }
   
   const metadata = readProfileMetadata(name);
+
+  if (isJsonMode()) {
+    return {
+      profile: {
+        name,
+        version: metadata?.version || '1.0.0',
+        description: metadata?.description || null,
+        tags: metadata?.tags || [],
+        createdAt: metadata?.createdAt || null,
+        updatedAt: metadata?.updatedAt || null,
+        platform: metadata?.platform || null,
+        claudeVersion: metadata?.claudeVersion || null,
+        dependencies: metadata?.dependencies || {},
+        variables: Object.keys(metadata?.variables || {}),
+        secrets: (metadata?.secrets || []).map(s => s.name),
+        contents: getContents(metadata),
+        files: metadata?.files || [],
+        location: profilePath
+      }
+    };
+  }
   
   console.log('');
   console.log(chalk.bold('Profile Information'));
@@ -286,8 +514,20 @@ export async function showProfileInfo(name) {
   console.log(chalk.cyan('Description: ') + (metadata?.description || chalk.dim('No description')));
   console.log(chalk.cyan('Tags:        ') + (metadata?.tags?.join(', ') || chalk.dim('None')));
   console.log(chalk.cyan('Created:     ') + (metadata?.createdAt ? new Date(metadata.createdAt).toLocaleString() : chalk.dim('Unknown')));
+  if (metadata?.updatedAt) {
+    console.log(chalk.cyan('Updated:     ') + new Date(metadata.updatedAt).toLocaleString());
+  }
   console.log(chalk.cyan('Platform:    ') + (metadata?.platform || chalk.dim('Unknown')));
   console.log(chalk.cyan('Claude Ver:  ') + (metadata?.claudeVersion || chalk.dim('Unknown')));
+  if (metadata?.dependencies) {
+    console.log(chalk.cyan('Depends on:  ') + Object.entries(metadata.dependencies).map(([ref, range]) => `${ref}@${range}`).join(', '));
+  }
+  if (metadata?.variables) {
+    console.log(chalk.cyan('Variables:   ') + Object.keys(metadata.variables).join(', '));
+  }
+  if (metadata?.secrets?.length) {
+    console.log(chalk.cyan('Secrets:     ') + metadata.secrets.map(s => s.name).join(', ') + chalk.dim(' (filled in on load)'));
+  }
   
   // Show structured contents
   const contents = getContents(metadata);
@@ -313,3 +553,173 @@ export async function showProfileInfo(name) {
   console.log(chalk.dim('Location: ') + profilePath);
   console.log('');
 }
+
+/**
+ * Show the saved revisions of a local profile
+ */
+export async function showProfileHistory(name) {
+  const profilePath = getProfilePath(name);
+
+  if (!existsSync(profilePath)) {
+    if (isJsonMode()) {
+      throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${name}`);
+    }
+    console.log(chalk.red(`✗ Profile not found: ${name}`));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const metadata = readProfileMetadata(name);
+  const revisions = listRevisions(name);
+
+  if (isJsonMode()) {
+    return {
+      name,
+      current: {
+        version: metadata?.version || '1.0.0',
+        savedAt: metadata?.updatedAt || metadata?.createdAt || null,
+        files: (metadata?.files || []).length
+      },
+      revisions: [...revisions].reverse().map(revision => ({
+        revision: revision.revision,
+        version: revision.version,
+        savedAt: revision.savedAt || null,
+        files: revision.files
+      }))
+    };
+  }
+
+  console.log('');
+  console.log(chalk.bold(`History: ${chalk.cyan(name)}`));
+  console.log(chalk.dim('─'.repeat(50)));
+  console.log('');
+
+  const formatDate = date => (date ? new Date(date).toLocaleString() : 'Unknown');
+
+  console.log(`  ${chalk.green('*')} ${chalk.cyan('v' + (metadata?.version || '1.0.0'))} ${chalk.dim('(current)')}`);
+  console.log(chalk.dim(`    ${formatDate(metadata?.updatedAt || metadata?.createdAt)} • ${(metadata?.files || []).length} files`));
+
+  for (const revision of [...revisions].reverse()) {
+    console.log(`    ${chalk.cyan('v' + revision.version)} ${chalk.dim('#' + revision.revision)}`);
+    console.log(chalk.dim(`    ${formatDate(revision.savedAt)} • ${revision.files} files`));
+  }
+
+  console.log('');
+
+  if (revisions.length === 0) {
+    console.log(chalk.dim('  No previous revisions. Save a new one with: ') + chalk.cyan(`cpm save ${name} --update`));
+  } else {
+    console.log(chalk.dim('Restore a revision with: ') + chalk.cyan(`cpm rollback ${name} <version>`));
+  }
+  console.log('');
+}
+
+/**
+ * Restore a previous revision of a local profile
+ */
+export async function rollbackProfile(name, version) {
+  const profilePath = getProfilePath(name);
+
+  if (!existsSync(profilePath)) {
+    console.log(chalk.red(`✗ Profile not found: ${name}`));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const target = version.replace(/^v/, '');
+  const current = readProfileMetadata(name);
+
+  if (current?.version === target) {
+    console.log(chalk.yellow(`Profile ${name} is already at v${target}.`));
+    return;
+  }
+
+  try {
+    restoreRevision(name, target);
+    console.log(chalk.green(`✓ Rolled back ${chalk.bold(name)} to v${target}`));
+    console.log(chalk.dim(`  v${current?.version || '1.0.0'} was kept in the history`));
+    console.log('');
+    console.log(chalk.dim('Apply it with: ') + chalk.cyan(`cpm load ${name}`));
+  } catch (error) {
+    console.log(chalk.red(`✗ Rollback failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Revert the most recent profile load or install
+ */
+export async function undoLastLoad(options) {
+  const last = getLastTransaction();
+
+  if (!last) {
+    console.log(chalk.yellow('Nothing to undo.'));
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.bold('Undo: ') + chalk.cyan(last.trigger ? `cpm ${last.trigger}` : 'last load'));
+  console.log(chalk.dim(`  Applied ${new Date(last.createdAt).toLocaleString()} to ${last.claudeDir}`));
+  console.log('');
+
+  if (!options.force) {
+    if (!await confirmAction('Restore the .claude configuration from before this load?', true)) {
+      console.log(chalk.yellow('Aborted.'));
+      process.exit(0);
+    }
+  }
+
+  try {
+    undoLastTransaction();
+    console.log(chalk.green('✓ Restored the previous .claude configuration.'));
+  } catch (error) {
+    console.log(chalk.red(`✗ Undo failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Re-check a saved profile's files against its recorded checksums
+ */
+export async function verifyProfile(name) {
+  const profilePath = getProfilePath(name);
+  const metadata = readProfileMetadata(name);
+
+  if (!existsSync(profilePath) || !metadata) {
+    if (isJsonMode()) {
+      throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${name}`);
+    }
+    console.log(chalk.red(`✗ Profile not found: ${name}`));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const result = verifyFiles(metadata, readProfileFiles(profilePath, null));
+
+  if (isJsonMode()) {
+    if (result.status === 'mismatch') {
+      throw new CpmError(ERROR_CODES.validation, `Profile ${name} failed verification: ${result.problems.join('; ')}`);
+    }
+    return {
+      name,
+      status: result.status,
+      files: Object.keys(metadata.checksums || {}).length,
+      profileChecksum: metadata.profileChecksum || null
+    };
+  }
+
+  if (result.status === 'unverified') {
+    console.log(chalk.yellow(`⚠ Profile ${name} has no checksums to verify.`));
+    console.log(chalk.dim('  Record them by saving a new version: ') + chalk.cyan(`cpm save ${name} --update`));
+    return;
+  }
+
+  if (result.status === 'mismatch') {
+    console.log(chalk.red(`✗ Profile ${name} failed verification:`));
+    for (const problem of result.problems) {
+      console.log(chalk.red(`  • ${problem}`));
+    }
+    process.exit(EXIT_CODES.validation);
+  }
+
+  const fileCount = Object.keys(metadata.checksums).length;
+  console.log(chalk.green(`✓ Profile ${name} verified (${fileCount} files)`));
+  console.log(chalk.dim(`  SHA-256: ${metadata.profileChecksum}`));
+}
@@ -1,13 +1,22 @@
 import chalk from 'chalk';
-import ora from 'ora';
-import inquirer from 'inquirer';
-import fetch from 'node-fetch';
-import { existsSync, writeFileSync, readFileSync, mkdirSync, cpSync } from 'fs';
-import { join, dirname } from 'path';
-import { getConfig, claudeDirExists, DEFAULTS } from '../utils/config.js';
-import { cleanProfileContent } from '../utils/snapshot.js';
-
-const INDEX_CACHE_TIME = 60 * 60 * 1000; // 1 hour
+import { existsSync } from 'fs';
+import { getConfig, claudeDirExists, describeClaudeDir, resolveClaudeDir } from '../utils/config.js';
+import { writeProfileFiles } from '../utils/snapshot.js';
+import { createBackup } from '../utils/backups.js';
+import { runProfileTransaction } from '../utils/transaction.js';
+import { fetchMarketplaceMetadata, fetchMarketplaceProfile, isDirectSource } from '../utils/sources.js';
+import { fetchMergedIndex, locateProfile, parseProfileRef, getAvailableVersions } from '../utils/registries.js';
+import { saveValues, parseSetOptions } from '../utils/variables.js';
+import { formatDependencyTree } from '../utils/dependencies.js';
+import { fetchInstallPackages, fetchLockedPackages, renderInstallPackages } from '../utils/install.js';
+import { recordActiveProfiles } from '../utils/state.js';
+import { LOCKFILE, getLockfilePath, readLockfile, createLockfile, writeLockfile, lockInstalledProfile, findLockedProfile } from '../utils/lockfile.js';
+import { setOfflineMode } from '../utils/mirror.js';
+import { describeRegistry, getRegistryType } from '../utils/providers.js';
+import { searchProfiles } from '../utils/search.js';
+import { EXIT_CODES, ERROR_CODES, isJsonMode, createSpinner, getExitCode } from '../utils/output.js';
+import { confirmAction, confirmBackup, chooseMcpConflicts } from '../utils/prompts.js';
+import { CpmError } from '../utils/errors.js';
 
 // Display labels for content categories
 const CATEGORY_LABELS = {
@@ -24,7 +33,7 @@ const CATEGORY_LABELS = {
 /**
  * Format a contents object into display lines
  */
-function formatContentsLines(contents, indent = '    ') {
+function formatContentsLines(contents, indent = '    ', mark = text => text) {
   if (!contents || Object.keys(contents).length === 0) return [];
 
   const lines = [];
@@ -34,69 +43,64 @@ function formatContentsLines(contents, indent = '    ') {
     const display = category === 'commands'
       ? items.map(i => `/${i}`).join(', ')
       : items.join(', ');
-    lines.push(`${indent}${chalk.white(label + ':')} ${chalk.dim(display)}`);
+    lines.push(`${indent}${chalk.white(label + ':')} ${chalk.dim(mark(display))}`);
   }
   return lines;
 }
 
 /**
- * Get the marketplace index (list of all profiles)
+ * Build a function that highlights matched search fragments in text
  */
-async function fetchMarketplaceIndex(forceRefresh = false) {
-  const config = await getConfig();
-  const cacheFile = join(config.cacheDir, 'marketplace-index.json');
-  
-  // Check cache
-  if (!forceRefresh && existsSync(cacheFile)) {
-    try {
-      const cached = JSON.parse(readFileSync(cacheFile, 'utf-8'));
-      const age = Date.now() - (cached._cachedAt || 0);
-      
-      if (age < INDEX_CACHE_TIME) {
-        return cached;
-      }
-    } catch {
-      // Ignore cache errors
-    }
-  }
-  
-  // Fetch from GitHub
-  const indexUrl = `https://raw.githubusercontent.com/${config.marketplaceRepo}/main/index.json`;
-  
-  try {
-    const response = await fetch(indexUrl);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch marketplace index: ${response.status}`);
-    }
-    
-    const index = await response.json();
-    index._cachedAt = Date.now();
-    
-    // Cache it
-    mkdirSync(config.cacheDir, { recursive: true });
-    writeFileSync(cacheFile, JSON.stringify(index, null, 2));
-    
-    return index;
-  } catch (error) {
-    // Try to use stale cache if available
-    if (existsSync(cacheFile)) {
-      console.log(chalk.yellow('⚠ Could not refresh marketplace. Using cached data.'));
-      return JSON.parse(readFileSync(cacheFile, 'utf-8'));
-    }
-    throw error;
-  }
+function createHighlighter(fragments) {
+  if (fragments.length === 0) return text => text;
+
+  const escaped = [...fragments]
+    .sort((a, b) => b.length - a.length)
+    .map(f => f.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+  return text => String(text).replace(pattern, match => chalk.bold.underline(match));
+}
+
+/**
+ * Marketplace index entry as printed by --json
+ */
+function toJsonSummary(profile) {
+  return {
+    registry: profile.registry,
+    author: profile.author,
+    name: profile.name,
+    version: profile.version || '1.0.0',
+    description: profile.description || null,
+    tags: profile.tags || [],
+    contents: profile.contents || {},
+    downloads: profile.downloads || 0,
+    stars: profile.stars || 0
+  };
 }
 
 /**
  * List profiles in the marketplace
  */
 export async function listMarketplace(options) {
-  const spinner = ora('Fetching marketplace...').start();
+  setOfflineMode(options.offline);
+  const spinner = createSpinner('Fetching marketplace...');
   
   try {
-    const index = await fetchMarketplaceIndex(options.refresh);
+    const index = await fetchMergedIndex(options.refresh);
     spinner.stop();
+
+    // Filter by category if specified
+    let profiles = index.profiles || [];
+    if (options.category) {
+      profiles = profiles.filter(p =>
+        (p.tags || []).includes(options.category)
+      );
+    }
+
+    if (isJsonMode()) {
+      return { profiles: profiles.map(toJsonSummary) };
+    }
     
     console.log('');
     console.log(chalk.bold('🛒 Profile Marketplace'));
@@ -109,18 +113,10 @@ export async function listMarketplace(options) {
       console.log(chalk.dim('  Be the first to publish: ') + chalk.cyan('cpm publish <n>'));
       return;
     }
-    
-    // Filter by category if specified
-    let profiles = index.profiles;
-    if (options.category) {
-      profiles = profiles.filter(p =>
-        (p.tags || []).includes(options.category)
-      );
-    }
 
     for (const profile of profiles) {
       const fullName = `${profile.author}/${profile.name}`;
-      console.log(`  ${chalk.cyan(fullName)} ${chalk.dim('v' + (profile.version || '1.0.0'))}`);
+      console.log(`  ${chalk.cyan(fullName)} ${chalk.dim('v' + (profile.version || '1.0.0'))} ${chalk.magenta(`[${profile.registry}]`)}`);
 
       if (profile.description) {
         console.log(`    ${chalk.dim(profile.description.slice(0, 60))}${profile.description.length > 60 ? '...' : ''}`);
@@ -146,115 +142,152 @@ export async function listMarketplace(options) {
       console.log('');
     }
     
-    console.log(chalk.dim('Install a profile:'));
+    console.log(chalk.dim('Install a profile (prefix with registry: to pick a registry):'));
     console.log(chalk.cyan('  cpm install author/profile-name'));
     console.log('');
     
   } catch (error) {
+    if (isJsonMode()) throw error;
     spinner.fail(chalk.red(`Failed to fetch marketplace: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
 /**
- * Search the marketplace
+ * Search the marketplace, ranking profiles by how well their name, tags,
+ * contents, description and author match the query
  */
-export async function searchMarketplace(query) {
-  const spinner = ora('Searching marketplace...').start();
+export async function searchMarketplace(query = '', options = {}) {
+  setOfflineMode(options.offline);
+
+  const filters = {
+    has: options.has || null,
+    hasCommand: options.hasCommand || null,
+    author: options.author || null,
+    tag: options.tag || null
+  };
+
+  if (!query.trim() && !Object.values(filters).some(Boolean)) {
+    if (isJsonMode()) {
+      throw new CpmError(ERROR_CODES.usage, 'Give a search query or a filter (--has, --has-command, --author, --tag)');
+    }
+    console.log(chalk.red('✗ Give a search query or a filter (--has, --has-command, --author, --tag)'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const spinner = createSpinner('Searching marketplace...');
   
   try {
-    const index = await fetchMarketplaceIndex();
+    const index = await fetchMergedIndex();
     spinner.stop();
     
-    const queryLower = query.toLowerCase();
-    
-    const results = (index.profiles || []).filter(profile => {
-      const searchable = [
-        profile.name,
-        profile.author,
-        profile.description,
-        ...(profile.tags || [])
-      ].join(' ').toLowerCase();
-      
-      return searchable.includes(queryLower);
-    });
+    const results = searchProfiles(index.profiles || [], query, filters);
+
+    if (isJsonMode()) {
+      return {
+        query,
+        filters,
+        results: results.map(({ profile, score, fragments }) => ({ ...toJsonSummary(profile), score, matches: fragments }))
+      };
+    }
+
+    const title = query.trim() ? `Search Results for "${query}"` : 'Search Results';
     
     console.log('');
-    console.log(chalk.bold(`Search Results for "${query}"`));
+    console.log(chalk.bold(title));
     console.log(chalk.dim('─'.repeat(50)));
     console.log('');
     
     if (results.length === 0) {
-      console.log(chalk.dim(`  No profiles found matching "${query}"`));
+      console.log(chalk.dim(`  No profiles found${query.trim() ? ` matching "${query}"` : ''}`));
       console.log('');
       return;
     }
     
-    for (const profile of results) {
-      const fullName = `${profile.author}/${profile.name}`;
-      console.log(`  ${chalk.cyan(fullName)} ${chalk.dim('v' + (profile.version || '1.0.0'))}`);
+    for (const { profile, fragments } of results) {
+      const mark = createHighlighter(fragments);
+      const fullName = `${mark(profile.author)}/${mark(profile.name)}`;
+      console.log(`  ${chalk.cyan(fullName)} ${chalk.dim('v' + (profile.version || '1.0.0'))} ${chalk.magenta(`[${profile.registry}]`)}`);
       
       if (profile.description) {
-        console.log(`    ${chalk.dim(profile.description.slice(0, 60))}${profile.description.length > 60 ? '...' : ''}`);
+        const description = profile.description.length > 60 ? `${profile.description.slice(0, 60)}...` : profile.description;
+        console.log(`    ${chalk.dim(mark(description))}`);
+      }
+
+      for (const line of formatContentsLines(profile.contents, '    ', mark)) {
+        console.log(line);
       }
       
       if (profile.tags?.length) {
-        console.log(`    ${chalk.yellow(profile.tags.join(', '))}`);
+        console.log(`    ${chalk.yellow(mark(profile.tags.join(', ')))}`);
       }
       
       console.log('');
     }
     
-    console.log(chalk.dim(`Found ${results.length} profile(s)`));
+    console.log(chalk.dim(`Found ${results.length} profile(s), best matches first`));
     console.log('');
     
   } catch (error) {
+    if (isJsonMode()) throw error;
     spinner.fail(chalk.red(`Search failed: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
 /**
  * Show detailed info about a marketplace profile
  */
-export async function showMarketplaceInfo(profilePath) {
-  const [author, name] = profilePath.includes('/') 
-    ? profilePath.split('/')
-    : [null, profilePath];
-    
-  if (!author || !name) {
-    console.log(chalk.red('✗ Invalid profile format. Use: author/profile-name'));
-    process.exit(1);
-  }
-  
-  const spinner = ora('Fetching profile info...').start();
+export async function showMarketplaceInfo(profilePath, options = {}) {
+  setOfflineMode(options.offline);
+  const spinner = createSpinner('Fetching profile info...');
   
   try {
-    const index = await fetchMarketplaceIndex();
-    const profile = (index.profiles || []).find(
-      p => p.author === author && p.name === name
-    );
+    const { registry, author, name, spec, entry: profile } = await locateProfile(profilePath);
     
     if (!profile) {
+      if (isJsonMode()) {
+        throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${profilePath}`);
+      }
       spinner.fail(chalk.red(`Profile not found: ${profilePath}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.notFound);
     }
     
-    // Fetch full profile metadata
-    const config = await getConfig();
-    const metadataUrl = `https://raw.githubusercontent.com/${config.marketplaceRepo}/main/profiles/${author}/${name}/profile.json`;
-    
+    // Fetch full profile metadata: the requested version, or the latest
     let metadata = profile;
-    try {
-      const response = await fetch(metadataUrl);
-      if (response.ok) {
-        metadata = { ...profile, ...await response.json() };
+    if (spec) {
+      metadata = { ...profile, ...(await fetchMarketplaceProfile(profilePath)).metadata };
+    } else {
+      try {
+        metadata = { ...profile, ...await fetchMarketplaceMetadata(author, name, registry) };
+      } catch {
+        // Use index data
       }
-    } catch {
-      // Use index data
     }
     
     spinner.stop();
+
+    const versions = getAvailableVersions(profile);
+
+    if (isJsonMode()) {
+      return {
+        profile: {
+          registry: { alias: registry.alias, type: getRegistryType(registry), location: describeRegistry(registry) },
+          author,
+          name,
+          version: metadata.version || '1.0.0',
+          versions,
+          description: metadata.description || null,
+          tags: metadata.tags || [],
+          downloads: metadata.downloads || 0,
+          stars: metadata.stars || 0,
+          createdAt: metadata.createdAt || null,
+          updatedAt: metadata.updatedAt || null,
+          dependencies: metadata.dependencies || {},
+          contents: metadata.contents || {}
+        }
+      };
+    }
     
     console.log('');
     console.log(chalk.bold('Profile Information'));
@@ -262,7 +295,11 @@ export async function showMarketplaceInfo(profilePath) {
     console.log('');
     
     console.log(chalk.cyan('Name:        ') + `${author}/${name}`);
+    console.log(chalk.cyan('Registry:    ') + `${registry.alias} (${describeRegistry(registry)})`);
     console.log(chalk.cyan('Version:     ') + (metadata.version || '1.0.0'));
+    if (versions.length > 1) {
+      console.log(chalk.cyan('Versions:    ') + versions.join(', '));
+    }
     console.log(chalk.cyan('Author:      ') + author);
     console.log(chalk.cyan('Description: ') + (metadata.description || chalk.dim('No description')));
     console.log(chalk.cyan('Tags:        ') + (metadata.tags?.join(', ') || chalk.dim('None')));
@@ -280,6 +317,10 @@ export async function showMarketplaceInfo(profilePath) {
       console.log(chalk.cyan('Updated:     ') + new Date(metadata.updatedAt).toLocaleDateString());
     }
 
+    if (metadata.dependencies) {
+      console.log(chalk.cyan('Depends on:  ') + Object.entries(metadata.dependencies).map(([ref, range]) => `${ref}@${range}`).join(', '));
+    }
+
     // Show contents breakdown
     if (metadata.contents && Object.keys(metadata.contents).length > 0) {
       console.log('');
@@ -292,120 +333,160 @@ export async function showMarketplaceInfo(profilePath) {
 
     console.log('');
     console.log(chalk.dim('Install with:'));
-    console.log(chalk.cyan(`  cpm install ${author}/${name}`));
+    console.log(chalk.cyan(`  cpm install ${profilePath}`));
     console.log('');
     
   } catch (error) {
+    if (isJsonMode()) throw error;
     spinner.fail(chalk.red(`Failed to fetch profile: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
 /**
- * Install a profile from the marketplace
+ * Install a profile from the marketplace, or straight from a directory,
+ * a profile.json URL or a git repository. With --frozen, install exactly
+ * what the lockfile of the target .claude folder records instead.
  */
 export async function installFromMarketplace(profilePath, options) {
-  const [author, name] = profilePath.includes('/')
-    ? profilePath.split('/')
-    : [null, profilePath];
-    
-  if (!author || !name) {
-    console.log(chalk.red('✗ Invalid profile format. Use: author/profile-name'));
-    process.exit(1);
+  setOfflineMode(options.offline);
+
+  let locked = null;
+  if (options.frozen) {
+    try {
+      const { dir } = resolveClaudeDir();
+      const lock = readLockfile(dir);
+      if (!lock) {
+        throw new CpmError(ERROR_CODES.validation, `Lockfile not found: ${getLockfilePath(dir)}. Install once without --frozen to create it.`);
+      }
+      if (!profilePath && lock.profiles.length !== 1) {
+        throw new CpmError(ERROR_CODES.validation, `Lockfile lists ${lock.profiles.length} profiles; name the one to install, or run: cpm sync --frozen`);
+      }
+      locked = profilePath ? findLockedProfile(lock, profilePath) : lock.profiles[0];
+      profilePath = locked.ref;
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exit(getExitCode(error));
+    }
+  } else if (!profilePath) {
+    console.log(chalk.red('✗ Name a profile to install, or pass --frozen to install the one in ' + LOCKFILE));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  if (!isDirectSource(profilePath)) {
+    try {
+      parseProfileRef(profilePath);
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exit(EXIT_CODES.usage);
+    }
   }
   
   console.log('');
   console.log(chalk.bold(`Installing: ${chalk.cyan(profilePath)}`));
+  console.log(chalk.dim('Target: ') + describeClaudeDir());
   console.log('');
   
   // Confirm if .claude exists
   if (claudeDirExists() && !options.force) {
-    const { confirm } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'confirm',
-      message: 'This will replace your current .claude configuration. Continue?',
-      default: false
-    }]);
-    
-    if (!confirm) {
+    if (!await confirmAction('This will replace your current .claude configuration. Continue?')) {
       console.log(chalk.yellow('Aborted.'));
       process.exit(0);
     }
     
-    if (!options.backup) {
-      const { backup } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'backup',
-        message: 'Backup current .claude folder first?',
-        default: true
-      }]);
-      options.backup = backup;
-    }
+    options.backup = await confirmBackup(options);
     
     options.force = true;
   }
   
-  const spinner = ora('Downloading profile...').start();
+  const spinner = createSpinner('Downloading profile...');
 
   try {
     const config = await getConfig();
     const claudeDir = config.claudeDir;
-    const baseUrl = `https://raw.githubusercontent.com/${config.marketplaceRepo}/main/profiles/${author}/${name}`;
-
-    // Fetch profile.json to get file list
-    const metaResponse = await fetch(`${baseUrl}/profile.json`);
-
-    if (!metaResponse.ok) {
-      if (metaResponse.status === 404) {
-        throw new Error(`Profile not found: ${profilePath}`);
-      }
-      throw new Error(`Download failed: ${metaResponse.status}`);
-    }
 
-    const metadata = await metaResponse.json();
-    // Normalize paths to forward slashes (handles profiles saved on Windows)
-    const files = (metadata.files || []).map(f => f.replace(/\\/g, '/'));
+    const { registry, source, author, commit, metadata, tree, packages } = locked
+      ? await fetchLockedPackages(locked, config, spinner)
+      : await fetchInstallPackages(profilePath, config, spinner);
+    const rendered = await renderInstallPackages(packages, options, spinner);
 
-    if (files.length === 0) {
-      throw new Error('Profile has no files to install');
+    const declared = packages.flatMap(pkg => Object.keys(pkg.node.metadata.variables || {}));
+    const unknown = Object.keys(parseSetOptions(options.set)).filter(key => !declared.includes(key));
+    if (unknown.length > 0) {
+      throw new CpmError(ERROR_CODES.validation, `Unknown variable(s): ${unknown.join(', ')}`);
     }
 
     // Backup existing .claude if requested
     if (options.backup && existsSync(claudeDir)) {
-      const backupName = `.claude-backup-${Date.now()}`;
-      const backupPath = join(DEFAULTS.profilesDir, backupName);
-      cpSync(claudeDir, backupPath, { recursive: true });
+      createBackup(claudeDir, { trigger: `install ${profilePath}` });
     }
 
-    // Ensure .claude directory exists
-    mkdirSync(claudeDir, { recursive: true });
+    spinner.text = 'Installing profile files...';
 
-    // Clean out old profile content before installing new files
-    cleanProfileContent(claudeDir);
+    // Swap the staged files in, rolling back on any error. Later profiles
+    // overwrite files from the dependencies they build on.
+    const { mcpServers } = await runProfileTransaction(claudeDir, {
+      stage: stagingDir => writeProfileFiles(stagingDir, rendered),
+      trigger: `install ${profilePath}`,
+      onMcpConflicts: conflicts => chooseMcpConflicts(conflicts, spinner)
+    });
 
-    spinner.text = 'Installing profile files...';
+    for (const pkg of packages) {
+      saveValues(pkg.valuesKey, pkg.variableValues);
+    }
 
-    // Download and install each file
-    for (const filePath of files) {
-      const fileUrl = `${baseUrl}/${filePath}`;
-      const fileResponse = await fetch(fileUrl);
+    // Record exactly what was installed; --frozen leaves the lockfile as it is
+    if (!locked) {
+      writeLockfile(claudeDir, createLockfile([lockInstalledProfile(profilePath, packages, config)]));
+    }
 
-      if (!fileResponse.ok) {
-        throw new Error(`Failed to download ${filePath}: ${fileResponse.status}`);
-      }
+    const origin = registry ? registry.alias : source.label;
+    recordActiveProfiles(claudeDir, [{ name: profilePath, source: origin, version: metadata.version || '1.0.0' }], {
+      trigger: `install ${profilePath}`,
+      mcpServers
+    });
 
-      const content = await fileResponse.text();
-      const destPath = join(claudeDir, filePath);
+    spinner.succeed(chalk.green(`Installed: ${chalk.bold(profilePath)}`));
+    console.log(chalk.dim(`  Version ${metadata.version || '1.0.0'} from ${origin}${commit ? ` at ${commit.slice(0, 12)}` : ''}`));
+
+    const { files, integrity, signature } = packages[packages.length - 1];
 
-      mkdirSync(dirname(destPath), { recursive: true });
-      writeFileSync(destPath, content);
+    if (integrity.status === 'verified') {
+      console.log(chalk.dim(`  Checksums verified (${files.length} files)`));
+    } else {
+      console.log(chalk.yellow('  ⚠ Profile has no checksums; file integrity was not verified'));
     }
 
-    spinner.succeed(chalk.green(`Installed: ${chalk.bold(profilePath)}`));
+    if (signature.status === 'verified') {
+      console.log(chalk.green(`  Signature: verified (key ${signature.keyId})`));
+    } else if (signature.status === 'untrusted') {
+      console.log(chalk.yellow(`  ⚠ Signature: valid, but key ${signature.keyId} is not trusted for ${author}`));
+      console.log(chalk.dim(`    Trust it with: cpm keys trust ${author} ${metadata.signature.publicKey}`));
+    } else {
+      console.log(chalk.yellow('  ⚠ Signature: unsigned'));
+    }
+
+    if (packages.length > 1) {
+      console.log('');
+      console.log(chalk.bold('Dependencies:'));
+      for (const line of formatDependencyTree(tree)) {
+        console.log(`  ${line}`);
+      }
+      for (const pkg of packages.slice(0, -1)) {
+        const warnings = [
+          pkg.integrity.status !== 'verified' && 'no checksums',
+          pkg.signature.status !== 'verified' && `signature ${pkg.signature.status}`
+        ].filter(Boolean);
+        if (warnings.length > 0) {
+          console.log(chalk.yellow(`  ⚠ ${pkg.node.ref}: ${warnings.join(', ')}`));
+        }
+      }
+    }
 
     if (options.backup) {
       console.log(chalk.dim('  Previous config backed up'));
     }
+    console.log(chalk.dim(locked ? `  Installed exactly as locked in ${LOCKFILE}` : `  Locked in ${LOCKFILE}`));
 
     console.log('');
     console.log(chalk.green('✓ Your Claude CLI is now configured with this profile.'));
@@ -413,6 +494,6 @@ export async function installFromMarketplace(profilePath, options) {
 
   } catch (error) {
     spinner.fail(chalk.red(`Installation failed: ${error.message}`));
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
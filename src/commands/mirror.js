@@ -0,0 +1,246 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { getConfig, isValidProfileName } from '../utils/config.js';
+import { isProfileFilePath } from '../utils/snapshot.js';
+import { assertFilesVerified, hashContent } from '../utils/integrity.js';
+import { fetchMarketplaceMetadata, fetchMarketplaceFile } from '../utils/sources.js';
+import { fetchRegistryIndex, findRegistry, parseProfileRef } from '../utils/registries.js';
+import { getRegistryProvider, describeRegistry } from '../utils/providers.js';
+import {
+  getMirrorPath,
+  readMirrorManifest,
+  writeMirrorManifest,
+  writeMirrorIndex,
+  readMirroredProfile,
+  readMirroredFile,
+  writeMirroredProfile,
+  removeMirroredProfile
+} from '../utils/mirror.js';
+import { EXIT_CODES, ERROR_CODES, getExitCode } from '../utils/output.js';
+import { CpmError } from '../utils/errors.js';
+
+/**
+ * Find the registry in a mirror plan that lists a profile reference
+ * (the given alias, or the highest-priority registry listing it)
+ */
+function findPlanTarget(plan, config, ref) {
+  const { alias, author, name } = parseProfileRef(ref);
+  const candidates = alias ? [plan.get(findRegistry(config, alias).alias)] : [...plan.values()];
+  const target = candidates.find(c => c && (c.index.profiles || []).some(p => p.author === author && p.name === name));
+
+  if (!target) {
+    throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found in the marketplace: ${ref}`);
+  }
+
+  return { target, ref: `${author}/${name}` };
+}
+
+/**
+ * Work out which profiles of which registries to mirror.
+ * Returns a Map of registry alias -> { registry, index, refs: Set of "author/name" }.
+ * Dependencies of these profiles are added while mirroring.
+ */
+async function planMirror(config, options, spinner) {
+  const plan = new Map();
+
+  // Local registries are always available, so there is nothing to mirror
+  for (const registry of config.registries.filter(r => getRegistryProvider(r).remote)) {
+    try {
+      const index = await fetchRegistryIndex(registry, true);
+      plan.set(registry.alias, { registry, index, refs: new Set() });
+    } catch (error) {
+      spinner.warn(chalk.yellow(`Skipping ${registry.alias}: ${error.message}`));
+      spinner.start();
+    }
+  }
+
+  if (plan.size === 0) {
+    throw new Error('No registry could be reached');
+  }
+
+  if (options.profiles) {
+    for (const ref of options.profiles.split(',').map(r => r.trim()).filter(Boolean)) {
+      const { spec } = parseProfileRef(ref);
+      if (spec) {
+        throw new Error(`The mirror holds the latest version of each profile; remove "@${spec}" from ${ref}`);
+      }
+
+      const found = findPlanTarget(plan, config, ref);
+      found.target.refs.add(found.ref);
+    }
+  } else {
+    for (const target of plan.values()) {
+      const manifest = await readMirrorManifest(target.registry);
+      const refs = options.all
+        ? (target.index.profiles || []).filter(p => {
+          // The names become folders in the mirror
+          if (isValidProfileName(p.author) && isValidProfileName(p.name)) return true;
+          spinner.warn(chalk.yellow(`${target.registry.alias}: skipping invalid index entry ${p.author}/${p.name}`));
+          spinner.start();
+          return false;
+        }).map(p => `${p.author}/${p.name}`)
+        : Object.keys(manifest.profiles);
+      refs.forEach(ref => target.refs.add(ref));
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Download one profile into the mirror. With `update`, profiles whose
+ * profile.json is unchanged are skipped, and files whose checksum matches
+ * the mirrored copy are reused. Returns { changed, downloaded }.
+ */
+async function mirrorProfile(registry, ref, commit, previous, update) {
+  const [author, name] = ref.split('/');
+  const metadata = await fetchMarketplaceMetadata(author, name, registry, commit);
+  const mirrored = previous ? await readMirroredProfile(registry, author, name) : null;
+
+  if (update && mirrored && JSON.stringify(mirrored.metadata) === JSON.stringify(metadata)) {
+    return { changed: false, downloaded: 0, metadata };
+  }
+
+  const files = [];
+  let downloaded = 0;
+
+  for (const filePath of (metadata.files || []).map(f => f.replace(/\\/g, '/'))) {
+    if (!isProfileFilePath(filePath)) {
+      throw new CpmError(ERROR_CODES.validation, `Refusing to mirror unexpected file: ${filePath}`);
+    }
+
+    const expected = metadata.checksums?.[filePath];
+    const existing = update && mirrored && expected
+      ? await readMirroredFile(registry, author, name, filePath, previous.commit)
+      : null;
+
+    if (existing && hashContent(existing) === expected.sha256) {
+      files.push({ path: filePath, content: existing });
+    } else {
+      files.push({ path: filePath, content: await fetchMarketplaceFile(author, name, filePath, registry, commit) });
+      downloaded++;
+    }
+  }
+
+  assertFilesVerified(metadata, files, ref);
+  await writeMirroredProfile(registry, author, name, { metadata, files });
+
+  return { changed: true, downloaded, metadata };
+}
+
+/**
+ * Download marketplace indexes and profiles into the offline mirror
+ */
+export async function mirrorMarketplace(options) {
+  if (options.profiles && options.all) {
+    console.log(chalk.red('✗ Use either --profiles or --all, not both.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  if (!options.profiles && !options.all && !options.update) {
+    console.log(chalk.red('✗ Choose what to mirror: --profiles author/name,... or --all'));
+    console.log(chalk.dim('  Refresh an existing mirror with: cpm mirror --update'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const spinner = ora('Fetching marketplace indexes...').start();
+  let failed = 0;
+
+  try {
+    const config = await getConfig();
+    const plan = await planMirror(config, options, spinner);
+
+    // Pin each registry to one commit for the whole run
+    for (const target of plan.values()) {
+      const provider = getRegistryProvider(target.registry);
+      target.commit = provider.defaultRef;
+      try {
+        target.commit = await provider.resolveRef(provider.defaultRef);
+      } catch {
+        // Fall back to the branch name
+      }
+
+      target.manifest = await readMirrorManifest(target.registry);
+      target.done = new Set();
+      target.stats = { updated: 0, unchanged: 0, downloaded: 0 };
+      await writeMirrorIndex(target.registry, target.index);
+    }
+
+    // Mirror the requested profiles, then the dependencies they need
+    const queue = [...plan.values()].flatMap(target => [...target.refs].map(ref => ({ target, ref })));
+
+    while (queue.length > 0) {
+      const { target, ref } = queue.shift();
+      const { registry, manifest, commit, stats } = target;
+
+      if (target.done.has(ref)) continue;
+      target.done.add(ref);
+
+      spinner.text = `Mirroring ${registry.alias}:${ref}...`;
+      const previous = manifest.profiles[ref];
+
+      try {
+        const result = await mirrorProfile(registry, ref, commit, previous, options.update);
+        manifest.profiles[ref] = {
+          version: result.metadata.version || '1.0.0',
+          commit,
+          profileChecksum: result.metadata.profileChecksum || null,
+          mirroredAt: result.changed ? new Date().toISOString() : previous.mirroredAt
+        };
+        stats.downloaded += result.downloaded;
+        if (result.changed) stats.updated++; else stats.unchanged++;
+
+        for (const dep of Object.keys(result.metadata.dependencies || {})) {
+          queue.push(findPlanTarget(plan, config, dep));
+        }
+      } catch (error) {
+        failed++;
+        spinner.warn(chalk.yellow(`${registry.alias}:${ref}: ${error.message}`));
+        spinner.start();
+      }
+    }
+
+    for (const { registry, index, manifest, commit, done, stats } of plan.values()) {
+      // Drop mirrored profiles that are no longer in the registry
+      const listed = new Set((index.profiles || []).map(p => `${p.author}/${p.name}`));
+      let removed = 0;
+      for (const ref of Object.keys(manifest.profiles)) {
+        if (!listed.has(ref)) {
+          const [author, name] = ref.split('/');
+          await removeMirroredProfile(registry, author, name);
+          delete manifest.profiles[ref];
+          removed++;
+        }
+      }
+
+      manifest.registry = registry.alias;
+      manifest.location = describeRegistry(registry);
+      manifest.commit = commit;
+      manifest.mirroredAt = new Date().toISOString();
+      await writeMirrorManifest(registry, manifest);
+
+      spinner.succeed(chalk.green(`Mirrored ${chalk.bold(registry.alias)} at ${commit.slice(0, 12)}: ${done.size} profile(s)`));
+      const details = [
+        `${stats.updated} updated`,
+        options.update && `${stats.unchanged} unchanged`,
+        removed > 0 && `${removed} removed`,
+        `${stats.downloaded} file(s) downloaded`
+      ].filter(Boolean);
+      console.log(chalk.dim(`  ${details.join(', ')}`));
+      console.log(chalk.dim(`  ${await getMirrorPath(registry)}`));
+    }
+
+    console.log('');
+    console.log(chalk.dim('Use the mirror without a network, or force it with --offline:'));
+    console.log(chalk.cyan('  cpm install author/profile-name --offline'));
+    console.log('');
+  } catch (error) {
+    spinner.fail(chalk.red(`Mirror failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  if (failed > 0) {
+    console.log(chalk.red(`✗ ${failed} profile(s) could not be mirrored`));
+    process.exit(EXIT_CODES.failed);
+  }
+}
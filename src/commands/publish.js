@@ -1,18 +1,22 @@
 import chalk from 'chalk';
 import ora from 'ora';
-import inquirer from 'inquirer';
-import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
-import { join } from 'path';
-import { getConfig, updateConfig, getProfilePath } from '../utils/config.js';
-import { readProfileMetadata } from '../utils/snapshot.js';
+import { existsSync } from 'fs';
+import { userInfo } from 'os';
+import { getConfig, getProfilePath, isValidProfileName } from '../utils/config.js';
+import { findRegistry, getPublishRegistry } from '../utils/registries.js';
+import { getRegistryProvider, describeRegistry } from '../utils/providers.js';
+import { readProfileMetadata, readProfileFiles } from '../utils/snapshot.js';
+import { computeChecksums } from '../utils/integrity.js';
+import { signMetadata, getSigningPublicKey } from '../utils/signing.js';
+import { scanFiles, formatFindings, ALLOW_SECRET_MARKER } from '../utils/secrets.js';
 import {
   getGitHubToken,
   getGitHubUsername,
-  createProfilePR,
-  fetchRepoIndex,
   getCredentialSetupInstructions,
   authenticateWithDeviceFlow
 } from '../utils/auth.js';
+import { EXIT_CODES, getExitCode } from '../utils/output.js';
+import { confirmAction, isNonInteractive } from '../utils/prompts.js';
 
 /**
  * Publish a local profile to the marketplace via a direct PR.
@@ -24,14 +28,14 @@ export async function publishProfile(name, options) {
   if (!existsSync(profilePath)) {
     console.log(chalk.red(`✗ Profile not found: ${name}`));
     console.log(chalk.dim('  List local profiles with: cpm local'));
-    process.exit(1);
+    process.exit(EXIT_CODES.notFound);
   }
 
   const metadata = readProfileMetadata(name);
 
   if (!metadata) {
     console.log(chalk.red('✗ Invalid profile: missing metadata'));
-    process.exit(1);
+    process.exit(EXIT_CODES.validation);
   }
 
   // Check for functional content
@@ -40,7 +44,45 @@ export async function publishProfile(name, options) {
   if (!hasContent) {
     console.log(chalk.red('✗ Profile has no functional content (commands, hooks, skills, etc.)'));
     console.log(chalk.dim('  Profiles must contain at least one functional customization.'));
-    process.exit(1);
+    process.exit(EXIT_CODES.validation);
+  }
+
+  // Scan file contents for secrets before anything leaves the machine
+  if (!options.allowSecrets) {
+    const findings = scanFiles(readProfileFiles(profilePath));
+    if (findings.length > 0) {
+      console.log(chalk.red(`✗ Found ${findings.length} possible secret(s) in this profile:`));
+      for (const line of formatFindings(findings)) {
+        console.log(chalk.red(`  • ${line}`));
+      }
+      console.log(chalk.dim(`  Remove them, mark the line with "${ALLOW_SECRET_MARKER}", or pass --allow-secrets.`));
+      process.exit(EXIT_CODES.validation);
+    }
+  }
+
+  // Publish to the chosen registry, or the highest-priority writable one
+  const config = await getConfig();
+  let registry;
+  try {
+    registry = options.registry ? findRegistry(config, options.registry) : getPublishRegistry(config);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const provider = getRegistryProvider(registry);
+  if (provider.readOnly) {
+    console.log(chalk.red(`✗ Registry ${registry.alias} (${describeRegistry(registry)}) is read-only.`));
+    console.log(chalk.dim('  Publish with --registry <alias> to a GitHub or local registry.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  // Signing needs a local key; check before any network work
+  const signingKey = options.sign ? getSigningPublicKey() : null;
+  if (options.sign && !signingKey) {
+    console.log(chalk.red('✗ No signing key found.'));
+    console.log(chalk.dim('  Create one with: cpm keys generate'));
+    process.exit(EXIT_CODES.validation);
   }
 
   console.log('');
@@ -48,29 +90,48 @@ export async function publishProfile(name, options) {
   console.log(chalk.dim('─'.repeat(50)));
   console.log('');
 
-  // --- Auth: try git credentials first, device flow as fallback ---
-  const spinner = ora('Checking GitHub credentials...').start();
-  let token = getGitHubToken();
+  // --- Auth: GitHub registries take PRs from a GitHub account; other
+  // registries are written directly under a local author name ---
+  let token = null;
   let useFork = false;
+  let author;
 
-  if (!token) {
-    spinner.warn(chalk.yellow('No cached GitHub credentials found.'));
-    console.log(chalk.dim('  Falling back to browser authentication...'));
-    token = await authenticateWithDeviceFlow();
-    useFork = true;
-  } else {
-    spinner.succeed(chalk.green('Found GitHub credentials.'));
-  }
+  if (provider.type === 'github') {
+    const spinner = ora('Checking GitHub credentials...').start();
+    token = process.env.GITHUB_TOKEN || getGitHubToken();
 
-  // Get GitHub username
-  let author;
-  const userSpinner = ora('Verifying identity...').start();
-  try {
-    author = await getGitHubUsername(token);
-    userSpinner.succeed(chalk.green(`Authenticated as ${chalk.bold(author)}`));
-  } catch (error) {
-    userSpinner.fail(chalk.red(error.message));
-    process.exit(1);
+    if (!token) {
+      // The browser sign-in below waits for the user
+      if (isNonInteractive()) {
+        spinner.fail(chalk.red('No GitHub credentials found.'));
+        console.log(chalk.dim('  Set GITHUB_TOKEN, or configure git credentials, to publish without prompts.'));
+        process.exit(EXIT_CODES.auth);
+      }
+
+      spinner.warn(chalk.yellow('No cached GitHub credentials found.'));
+      console.log(chalk.dim('  Falling back to browser authentication...'));
+      token = await authenticateWithDeviceFlow();
+      useFork = true;
+    } else {
+      spinner.succeed(chalk.green('Found GitHub credentials.'));
+    }
+
+    // Get GitHub username
+    const userSpinner = ora('Verifying identity...').start();
+    try {
+      author = await getGitHubUsername(token);
+      userSpinner.succeed(chalk.green(`Authenticated as ${chalk.bold(author)}`));
+    } catch (error) {
+      userSpinner.fail(chalk.red(error.message));
+      process.exit(EXIT_CODES.auth);
+    }
+  } else {
+    author = options.author || userInfo().username;
+    if (!isValidProfileName(author)) {
+      console.log(chalk.red(`✗ Invalid author "${author}". Use alphanumeric characters, hyphens, and underscores.`));
+      process.exit(EXIT_CODES.usage);
+    }
+    console.log(chalk.dim(`Publishing as ${chalk.bold(author)} (change with --author)`));
   }
 
   // Show profile summary
@@ -81,6 +142,7 @@ export async function publishProfile(name, options) {
   if (metadata.description) {
     console.log(chalk.cyan('  Desc:    ') + metadata.description);
   }
+  console.log(chalk.cyan('  Signed:  ') + (signingKey ? `yes (key ${signingKey.keyId})` : chalk.dim('no')));
 
   // Show contents
   for (const [category, items] of Object.entries(contents)) {
@@ -94,41 +156,45 @@ export async function publishProfile(name, options) {
   console.log('');
 
   // Confirm
-  const { confirm } = await inquirer.prompt([{
-    type: 'confirm',
-    name: 'confirm',
-    message: `Publish ${chalk.cyan(author + '/' + name)} to the marketplace?`,
-    default: true
-  }]);
-
-  if (!confirm) {
+  if (!await confirmAction(`Publish ${chalk.cyan(author + '/' + name)} to ${registry.alias} (${describeRegistry(registry)})?`, true)) {
     console.log(chalk.yellow('Aborted.'));
     process.exit(0);
   }
 
-  const config = await getConfig();
-
   // --- Publish with retry on 403 ---
-  await attemptPublish(token, config, { author, name, metadata, profilePath, useFork });
+  await attemptPublish(token, provider, { author, name, metadata, profilePath, useFork, sign: !!options.sign });
 }
 
 /**
- * Attempt to publish. On 403 (insufficient token scope), fall back to
- * OAuth device flow and retry with a fork-based PR.
+ * Report where a submitted profile went: a pull request awaiting review,
+ * or a registry it was written to directly
  */
-async function attemptPublish(token, config, { author, name, metadata, profilePath, useFork }) {
-  const publishSpinner = ora('Creating pull request...').start();
-
-  try {
-    const pr = await doPublish(token, config, { author, name, metadata, profilePath, useFork });
-    publishSpinner.succeed(chalk.green('Pull request created!'));
+function reportSubmission(spinner, result) {
+  if (result.review) {
+    spinner.succeed(chalk.green('Pull request created!'));
     console.log('');
-    console.log(chalk.cyan('  PR: ') + pr.html_url);
+    console.log(chalk.cyan('  PR: ') + result.url);
     console.log('');
     console.log(chalk.dim('A maintainer will review and merge your profile.'));
+  } else {
+    spinner.succeed(chalk.green('Profile published!'));
     console.log('');
+    console.log(chalk.cyan('  Location: ') + result.url);
+  }
+  console.log('');
+}
+
+/**
+ * Attempt to publish. On 403 (insufficient token scope), fall back to
+ * OAuth device flow and retry with a fork-based PR.
+ */
+async function attemptPublish(token, provider, { author, name, metadata, profilePath, useFork, sign }) {
+  const publishSpinner = ora(provider.type === 'github' ? 'Creating pull request...' : 'Publishing profile...').start();
+
+  try {
+    reportSubmission(publishSpinner, await doPublish(token, provider, { author, name, metadata, profilePath, useFork, sign }));
   } catch (error) {
-    if (error.message.includes('403') && !useFork) {
+    if (error.message.includes('403') && token && !useFork && !isNonInteractive()) {
       publishSpinner.warn(chalk.yellow('Credentials lack write access to marketplace repo.'));
       console.log(chalk.dim('  Falling back to browser authentication...'));
       console.log('');
@@ -137,129 +203,84 @@ async function attemptPublish(token, config, { author, name, metadata, profilePa
 
       const retrySpinner = ora('Retrying with fork-based PR...').start();
       try {
-        const pr = await doPublish(deviceToken, config, { author, name, metadata, profilePath, useFork: true });
-        retrySpinner.succeed(chalk.green('Pull request created!'));
-        console.log('');
-        console.log(chalk.cyan('  PR: ') + pr.html_url);
-        console.log('');
-        console.log(chalk.dim('A maintainer will review and merge your profile.'));
-        console.log('');
+        reportSubmission(retrySpinner, await doPublish(deviceToken, provider, { author, name, metadata, profilePath, useFork: true, sign }));
       } catch (retryError) {
         retrySpinner.fail(chalk.red(`Publish failed: ${retryError.message}`));
-        process.exit(1);
+        process.exit(getExitCode(retryError));
       }
     } else {
       publishSpinner.fail(chalk.red(`Publish failed: ${error.message}`));
-      process.exit(1);
+      process.exit(getExitCode(error));
     }
   }
 }
 
 /**
- * Core publish logic: fetch index, prepare metadata, create PR.
+ * Core publish logic: fetch index, prepare metadata, submit to the registry.
  */
-async function doPublish(token, config, { author, name, metadata, profilePath, useFork }) {
-  // Fetch current index
-  const index = await fetchRepoIndex(token, config.marketplaceRepo);
+async function doPublish(token, provider, { author, name, metadata, profilePath, useFork, sign }) {
+  // Fetch current index (a registry without one yet starts empty)
+  let index;
+  try {
+    index = await provider.fetchIndex({ token });
+  } catch (error) {
+    if (provider.type !== 'local') throw error;
+    index = { profiles: [] };
+  }
 
-  // Update metadata with author
+  // Read all profile files (excluding profile.json)
+  const profileFiles = readProfileFiles(profilePath);
+
+  // Update metadata with author, and checksums of exactly what is uploaded
   const publishMetadata = {
     ...metadata,
     author,
-    publishedAt: new Date().toISOString()
+    publishedAt: new Date().toISOString(),
+    ...computeChecksums(profileFiles)
   };
 
-  // Update index: remove existing entry for this author/name, add new one
+  // Sign profile.json (author, version, file checksums, ...) with the local key
+  if (sign) {
+    publishMetadata.signature = signMetadata(publishMetadata);
+  } else {
+    delete publishMetadata.signature;
+  }
+
+  // Update index: replace the entry for this author/name, keeping the
+  // list of earlier versions so they stay installable with @version
+  const version = publishMetadata.version || '1.0.0';
+  const existing = (index.profiles || []).find(p => p.author === author && p.name === name);
+  const previousVersions = existing?.versions
+    || (existing ? [{ version: existing.version || '1.0.0', publishedAt: existing.createdAt }] : []);
+  const versions = [
+    ...previousVersions.filter(v => v.version !== version),
+    { version, publishedAt: publishMetadata.publishedAt }
+  ];
+
   index.profiles = (index.profiles || []).filter(
     p => !(p.author === author && p.name === name)
   );
   index.profiles.push({
     name,
     author,
-    version: publishMetadata.version || '1.0.0',
+    version,
+    versions,
     description: publishMetadata.description || '',
     tags: publishMetadata.tags || [],
     downloads: 0,
     stars: 0,
     createdAt: publishMetadata.publishedAt,
-    contents: publishMetadata.contents || {}
+    contents: publishMetadata.contents || {},
+    ...(publishMetadata.dependencies && { dependencies: publishMetadata.dependencies })
   });
   index.lastUpdated = new Date().toISOString();
 
-  // Read all profile files (excluding profile.json)
-  const profileFiles = readProfileFiles(profilePath);
-
-  // Create the PR
-  const pr = await createProfilePR(token, config.marketplaceRepo, {
+  // Create the PR, or write the files into the registry
+  return provider.submitProfile({
     author,
     name,
     profileJson: JSON.stringify(publishMetadata, null, 2),
     profileFiles,
     indexUpdate: JSON.stringify(index, null, 2)
-  }, { useFork });
-
-  return pr;
+  }, { token, useFork });
 }
-
-/**
- * Read all content files from a profile directory (excluding profile.json).
- * Returns an array of { path, content } pairs with forward-slash paths.
- */
-function readProfileFiles(profileDir) {
-  const files = [];
-
-  function walk(dir, relativePath = '') {
-    const entries = readdirSync(dir);
-    for (const entry of entries) {
-      if (!relativePath && entry === 'profile.json') continue;
-
-      const fullPath = join(dir, entry);
-      const relPath = relativePath ? `${relativePath}/${entry}` : entry;
-      const stat = statSync(fullPath);
-
-      if (stat.isDirectory()) {
-        walk(fullPath, relPath);
-      } else {
-        files.push({ path: relPath, content: readFileSync(fullPath, 'utf-8') });
-      }
-    }
-  }
-
-  walk(profileDir);
-  return files;
-}
-
-/**
- * Set a custom marketplace repository
- */
-export async function setRepository(repository) {
-  // Validate format
-  if (!/^[a-z0-9-]+\/[a-z0-9-]+$/i.test(repository)) {
-    console.log(chalk.red('✗ Invalid repository format. Use: owner/repo'));
-    process.exit(1);
-  }
-
-  const spinner = ora('Validating repository...').start();
-
-  try {
-    const { default: fetch } = await import('node-fetch');
-
-    const response = await fetch(
-      `https://raw.githubusercontent.com/${repository}/main/index.json`
-    );
-
-    if (!response.ok && response.status !== 404) {
-      throw new Error(`Repository not accessible: ${response.status}`);
-    }
-
-    await updateConfig({ marketplaceRepo: repository });
-
-    spinner.succeed(chalk.green(`Repository set to: ${chalk.bold(repository)}`));
-    console.log('');
-    console.log(chalk.dim('Browse profiles with: ') + chalk.cyan('cpm list'));
-
-  } catch (error) {
-    spinner.fail(chalk.red(`Failed to set repository: ${error.message}`));
-    process.exit(1);
-  }
-}
\ No newline at end of file
@@ -0,0 +1,219 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { existsSync } from 'fs';
+import { getConfig, updateConfig } from '../utils/config.js';
+import { isValidRegistryAlias, getPublishRegistry } from '../utils/registries.js';
+import { parseRegistryLocation, getRegistryProvider, getRegistryType, describeRegistry } from '../utils/providers.js';
+import { EXIT_CODES, isJsonMode, getExitCode, printWarning } from '../utils/output.js';
+
+/**
+ * Parse a 1-based priority position, or exit with an error
+ */
+function parsePosition(value, max) {
+  const position = parseInt(value, 10);
+
+  if (!Number.isInteger(position) || position < 1 || position > max) {
+    console.log(chalk.red(`✗ Invalid priority: ${value}. Use a number from 1 to ${max}.`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  return position;
+}
+
+/**
+ * Add a marketplace registry: a GitHub repository (owner/repo), a static
+ * HTTP(S) site, or a local directory, each with an index.json
+ */
+export async function addRegistry(alias, location, options) {
+  if (!isValidRegistryAlias(alias)) {
+    console.log(chalk.red('✗ Invalid alias. Use letters, numbers, hyphens and underscores.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  let settings;
+  try {
+    settings = parseRegistryLocation(location);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  if (options.branch && settings.type !== 'github') {
+    console.log(chalk.red('✗ --branch only applies to GitHub registries.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const config = await getConfig();
+
+  if (config.registries.some(r => r.alias === alias)) {
+    console.log(chalk.red(`✗ A registry named "${alias}" already exists.`));
+    console.log(chalk.dim(`  Remove it first with: cpm repo remove ${alias}`));
+    process.exit(EXIT_CODES.conflict);
+  }
+
+  const registries = [...config.registries];
+  const position = options.priority
+    ? parsePosition(options.priority, registries.length + 1)
+    : registries.length + 1;
+
+  const spinner = ora('Validating registry...').start();
+
+  try {
+    const registry = { alias, ...settings, ...(options.branch && { branch: options.branch }) };
+
+    if (registry.type === 'local' && !existsSync(registry.path)) {
+      throw new Error(`Directory not found: ${registry.path}`);
+    }
+
+    // A registry without an index.json yet is fine; anything else is not
+    try {
+      await getRegistryProvider(registry).fetchIndex();
+    } catch (error) {
+      if (!error.message.endsWith(': 404') && !error.message.endsWith('not found')) {
+        throw error;
+      }
+    }
+
+    registries.splice(position - 1, 0, registry);
+    await updateConfig({ registries });
+
+    spinner.succeed(chalk.green(`Added ${registry.type} registry ${chalk.bold(alias)} (${describeRegistry(registry)}) at priority ${position}`));
+    console.log('');
+    console.log(chalk.dim('Browse profiles with: ') + chalk.cyan('cpm list'));
+    console.log(chalk.dim('Install from it with: ') + chalk.cyan(`cpm install ${alias}:author/profile-name`));
+
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to add registry: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Point the highest-priority GitHub registry at another repository, or add
+ * one first in the search order if there is none. Kept for the old
+ * `cpm repo <owner/repo>`; `cpm repo add` replaces it.
+ */
+export async function setDefaultRepository(repository) {
+  printWarning('cpm repo <owner/repo> is deprecated. Use: cpm repo add <alias> <owner/repo> --priority 1');
+
+  if (!/^[a-z0-9-]+\/[a-z0-9-_.]+$/i.test(repository)) {
+    console.log(chalk.red('✗ Invalid repository format. Use: owner/repo'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const config = await getConfig();
+  const registries = [...config.registries];
+  const index = registries.findIndex(r => getRegistryType(r) === 'github');
+  const registry = { alias: index === -1 ? 'default' : registries[index].alias, repo: repository };
+
+  if (index === -1 && registries.some(r => r.alias === registry.alias)) {
+    console.log(chalk.red(`✗ A registry named "${registry.alias}" already exists.`));
+    console.log(chalk.dim(`  Add the repository under another name with: cpm repo add <alias> ${repository}`));
+    process.exit(EXIT_CODES.conflict);
+  }
+
+  const spinner = ora('Validating repository...').start();
+
+  try {
+    // A repository without an index.json yet is fine; anything else is not
+    try {
+      await getRegistryProvider(registry).fetchIndex();
+    } catch (error) {
+      if (!error.message.endsWith(': 404') && !error.message.endsWith('not found')) {
+        throw error;
+      }
+    }
+
+    if (index === -1) {
+      registries.unshift(registry);
+    } else {
+      registries[index] = registry;
+    }
+    await updateConfig({ registries });
+
+    spinner.succeed(chalk.green(`Registry ${chalk.bold(registry.alias)} set to: ${chalk.bold(repository)}`));
+    console.log('');
+    console.log(chalk.dim('Browse profiles with: ') + chalk.cyan('cpm list'));
+
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to set repository: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Remove a marketplace registry
+ */
+export async function removeRegistry(alias) {
+  const config = await getConfig();
+
+  if (!config.registries.some(r => r.alias === alias)) {
+    console.log(chalk.red(`✗ No registry named "${alias}".`));
+    console.log(chalk.dim('  See configured registries with: cpm repo list'));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  if (config.registries.length === 1) {
+    console.log(chalk.red('✗ Cannot remove the only registry. Add another one first.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  await updateConfig({ registries: config.registries.filter(r => r.alias !== alias) });
+  console.log(chalk.green(`✓ Removed registry ${chalk.bold(alias)}`));
+}
+
+/**
+ * Move a registry to a new priority position (1 is searched first)
+ */
+export async function setRegistryPriority(alias, value) {
+  const config = await getConfig();
+  const registries = [...config.registries];
+  const index = registries.findIndex(r => r.alias === alias);
+
+  if (index === -1) {
+    console.log(chalk.red(`✗ No registry named "${alias}".`));
+    console.log(chalk.dim('  See configured registries with: cpm repo list'));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  const position = parsePosition(value, registries.length);
+  const [registry] = registries.splice(index, 1);
+  registries.splice(position - 1, 0, registry);
+
+  await updateConfig({ registries });
+  console.log(chalk.green(`✓ ${chalk.bold(alias)} is now priority ${position}`));
+}
+
+/**
+ * List marketplace registries in priority order
+ */
+export async function listRegistries() {
+  const config = await getConfig();
+
+  if (isJsonMode()) {
+    const publishTarget = getPublishRegistry(config);
+    return {
+      registries: config.registries.map(registry => ({
+        alias: registry.alias,
+        type: getRegistryType(registry),
+        location: describeRegistry(registry),
+        branch: registry.branch || null,
+        publishTarget: registry === publishTarget
+      }))
+    };
+  }
+
+  console.log('');
+  console.log(chalk.bold('Registries') + chalk.dim(' (highest priority first)'));
+  console.log(chalk.dim('─'.repeat(50)));
+
+  const publishTarget = getPublishRegistry(config);
+
+  config.registries.forEach((registry, i) => {
+    const note = registry === publishTarget ? chalk.dim('  (publish target)') : '';
+    const branch = registry.branch ? chalk.dim(` (branch ${registry.branch})`) : '';
+    const type = chalk.dim(`[${getRegistryType(registry)}]`);
+    console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.cyan(registry.alias)}  ${type} ${describeRegistry(registry)}${branch}${note}`);
+  });
+  console.log('');
+}
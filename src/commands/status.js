@@ -0,0 +1,215 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import { existsSync } from 'fs';
+import { resolveClaudeDir, describeClaudeDir, getProfilePath } from '../utils/config.js';
+import { createSnapshot, extractSnapshot, readProfileMetadata } from '../utils/snapshot.js';
+import { resolveSecretValues } from '../utils/placeholders.js';
+import { resolveVariableValues, getSavedValues } from '../utils/variables.js';
+import { recordActiveProfiles, getActiveState, detectDrift } from '../utils/state.js';
+import { EXIT_CODES, ERROR_CODES, isJsonMode, getExitCode } from '../utils/output.js';
+import { canPrompt, confirmAction, chooseMcpConflicts } from '../utils/prompts.js';
+import { CpmError } from '../utils/errors.js';
+
+/**
+ * The command that applied the files and, run again, puts them back: a
+ * plain load, an install or a sync. Null for anything else.
+ */
+function getReapplyCommand(state) {
+  return /^(load (?!--merge)|install |sync\b)/.test(state.trigger || '') ? `cpm ${state.trigger}` : null;
+}
+
+/**
+ * Ask what to do with changes made since the profile was applied
+ */
+async function chooseAction(localProfile) {
+  const choices = [
+    { name: `Save them to ${localProfile} as a new version (cpm save ${localProfile} --update)`, value: 'save' },
+    { name: `Discard them and load ${localProfile} again`, value: 'discard' },
+    { name: 'Keep them for now', value: 'keep' }
+  ];
+
+  const { action } = await inquirer.prompt([{
+    type: 'list',
+    name: 'action',
+    message: 'What do you want to do with these changes?',
+    choices,
+    default: 'keep'
+  }]);
+
+  return action;
+}
+
+/**
+ * Save the changes back to the active local profile as a new version
+ */
+async function saveChanges(claudeDir, name, options) {
+  const spinner = ora(`Saving changes to ${name}...`).start();
+
+  try {
+    const { metadata } = await createSnapshot(name, { update: true, bump: options.bump || 'patch' });
+    recordActiveProfiles(claudeDir, [{ name, source: 'local', version: metadata.version }], { trigger: `save ${name}` });
+    spinner.succeed(chalk.green(`Profile updated: ${chalk.bold(name)} ${chalk.dim('v' + metadata.version)}`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to save profile: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Put back the profile files as they were applied by loading the active
+ * local profile again with its saved values, undoably. The state keeps
+ * only hashes, so the profile itself is the source of the files.
+ */
+async function discardChanges(claudeDir, state, count) {
+  const [{ name, version }] = state.profiles;
+  const metadata = readProfileMetadata(name);
+
+  if (metadata?.version && metadata.version !== version) {
+    console.log(chalk.red(`✗ ${name} has changed since it was applied (v${version} → v${metadata.version}).`));
+    console.log(chalk.dim(`  Load the current version with: cpm load ${name}`));
+    process.exit(EXIT_CODES.conflict);
+  }
+
+  if (!await confirmAction(`Discard ${count} change(s) in ${claudeDir}?`)) {
+    console.log(chalk.yellow('Aborted.'));
+    process.exit(0);
+  }
+
+  let secretValues, variableValues;
+  try {
+    secretValues = await resolveSecretValues(metadata?.secrets);
+    variableValues = await resolveVariableValues(name, metadata?.variables, { assigned: getSavedValues(name), strict: false });
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  const spinner = ora('Discarding changes...').start();
+
+  try {
+    const { mcpServers } = await extractSnapshot(name, {
+      force: true,
+      secretValues,
+      variableValues,
+      trigger: 'status --discard',
+      onMcpConflicts: conflicts => chooseMcpConflicts(conflicts, spinner)
+    });
+    recordActiveProfiles(claudeDir, state.profiles, { trigger: 'status --discard', mcpServers });
+    spinner.succeed(chalk.green(`Discarded ${count} change(s)`));
+    console.log(chalk.dim('  Changed your mind? Run: cpm undo'));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to discard changes: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * The --json document of cpm status
+ */
+function getStatusJson() {
+  const { dir } = resolveClaudeDir();
+  const state = getActiveState(dir);
+
+  return {
+    claudeDir: dir,
+    profiles: state ? state.profiles.map(({ name, source, version }) => ({ name, source, version })) : [],
+    appliedAt: state?.appliedAt || null,
+    trigger: state?.trigger || null,
+    changes: state ? detectDrift(dir, state) : null
+  };
+}
+
+/**
+ * Show the profiles active in the .claude folder and the profile files
+ * added, modified or deleted since they were applied, then offer to save
+ * the changes back to the profile or discard them
+ */
+export async function showStatus(options) {
+  if (isJsonMode()) {
+    if (options.save || options.discard) {
+      throw new CpmError(ERROR_CODES.usage, '--save and --discard have no --json output');
+    }
+    return getStatusJson();
+  }
+
+  if (options.bump && options.discard) {
+    console.log(chalk.red('✗ --bump only applies to --save.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  if (options.bump && !['patch', 'minor', 'major'].includes(options.bump)) {
+    console.log(chalk.red(`✗ Invalid bump level: ${options.bump}. Use patch, minor or major.`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const { dir } = resolveClaudeDir();
+  const state = getActiveState(dir);
+
+  console.log('');
+  console.log(chalk.dim('Folder: ') + describeClaudeDir());
+  console.log('');
+
+  if (!state) {
+    console.log(chalk.yellow('No active profile recorded for this .claude folder.'));
+    console.log(chalk.dim('  It is recorded by: cpm load, cpm install, cpm sync and cpm save'));
+    return;
+  }
+
+  console.log(chalk.bold(state.profiles.length === 1 ? 'Active profile:' : 'Active profiles:'));
+  for (const profile of state.profiles) {
+    console.log(`  ${chalk.cyan(profile.name)} ${chalk.dim(`v${profile.version} (${profile.source})`)}`);
+  }
+  console.log(chalk.dim(`  Applied ${new Date(state.appliedAt).toLocaleString()}${state.trigger ? ` by cpm ${state.trigger}` : ''}`));
+  console.log('');
+
+  const { added, modified, deleted } = detectDrift(dir, state);
+  const count = added.length + modified.length + deleted.length;
+
+  if (count === 0) {
+    console.log(chalk.green('✓ No changes since then.'));
+    return;
+  }
+
+  console.log(chalk.bold(`${count} change(s) since then:`));
+  added.forEach(file => console.log(chalk.green(`  + ${file}`)));
+  modified.forEach(file => console.log(chalk.yellow(`  ~ ${file}`)));
+  deleted.forEach(file => console.log(chalk.red(`  - ${file}`)));
+  console.log('');
+
+  // Only a single local profile can take the changes back, or give the
+  // files again to discard them
+  const [active] = state.profiles;
+  const localProfile = state.profiles.length === 1 && active.source === 'local' && existsSync(getProfilePath(active.name))
+    ? active.name
+    : null;
+
+  let action = options.save ? 'save' : options.discard ? 'discard' : null;
+  if (!action && localProfile && canPrompt()) {
+    action = await chooseAction(localProfile);
+  }
+
+  const reapply = getReapplyCommand(state);
+  if (action && action !== 'keep' && !localProfile) {
+    console.log(chalk.red(`✗ Only changes to a single local profile can be ${action === 'save' ? 'saved back' : 'discarded'}.`));
+    if (action === 'save') {
+      console.log(chalk.dim('  Save them as a new profile with: cpm save <name>'));
+    } else if (reapply) {
+      console.log(chalk.dim(`  Put the files back by running again: ${reapply}`));
+    }
+    process.exit(EXIT_CODES.usage);
+  }
+
+  if (action === 'save') {
+    await saveChanges(dir, localProfile, options);
+  } else if (action === 'discard') {
+    await discardChanges(dir, state, count);
+  } else if (!action) {
+    if (localProfile) {
+      console.log(chalk.dim(`  Save them to ${localProfile} with: cpm status --save`));
+      console.log(chalk.dim('  Discard them with: cpm status --discard'));
+    } else if (reapply) {
+      console.log(chalk.dim(`  Discard them by running again: ${reapply}`));
+    }
+  }
+}
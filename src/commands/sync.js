@@ -0,0 +1,346 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { getConfig, resolveClaudeDir, getClaudeDirCandidates } from '../utils/config.js';
+import { MANIFEST_FILE, findManifest, readManifest } from '../utils/manifest.js';
+import { readProfileSource } from '../utils/sources.js';
+import { fetchInstallPackages, fetchLockedPackages, renderInstallPackages } from '../utils/install.js';
+import {
+  LOCKFILE,
+  getLockfilePath,
+  readLockfile,
+  createLockfile,
+  writeLockfile,
+  lockInstalledProfile,
+  lockLocalProfile,
+  findLockedProfile,
+  assertMatchesLock
+} from '../utils/lockfile.js';
+import { composeLayers } from '../utils/merge.js';
+import { getFilesToArchive, writeProfileFiles, readProfileMetadata } from '../utils/snapshot.js';
+import { createBackup } from '../utils/backups.js';
+import { runProfileTransaction } from '../utils/transaction.js';
+import { resolveSecretValues, fillSecretPlaceholders } from '../utils/placeholders.js';
+import { resolveVariableValues, renderTemplateFiles, saveValues } from '../utils/variables.js';
+import { setOfflineMode } from '../utils/mirror.js';
+import { EXIT_CODES, getExitCode, ERROR_CODES } from '../utils/output.js';
+import { confirmAction, confirmBackup, chooseMcpConflicts } from '../utils/prompts.js';
+import { recordActiveProfiles, getActiveState } from '../utils/state.js';
+import { MCP_FILE, mergeMcpFile } from '../utils/mcp.js';
+import { isSameContent } from '../utils/text.js';
+import { CpmError } from '../utils/errors.js';
+
+/**
+ * Work out the .claude folders a manifest syncs: the project's next to
+ * .cpm.json (or --claude-dir / CPM_CLAUDE_DIR) and the user's, each with
+ * the entries meant for it. --scope syncs only that one.
+ * Returns [{ scope, dir, entries }].
+ */
+function getSyncTargets(manifest) {
+  const active = resolveClaudeDir();
+  const dirs = {
+    project: ['--claude-dir', 'CPM_CLAUDE_DIR'].includes(active.reason) ? active.dir : join(manifest.dir, '.claude'),
+    user: getClaudeDirCandidates().user
+  };
+
+  const scopes = new Set([manifest.scope, ...manifest.profiles.map(entry => entry.scope)]);
+  return [...scopes]
+    .filter(scope => active.reason !== '--scope' || scope === active.scope)
+    .map(scope => ({ scope, dir: dirs[scope], entries: manifest.profiles.filter(entry => entry.scope === scope) }));
+}
+
+/**
+ * Point the direct source of a lock entry somewhere else. Sources from
+ * .cpm.json are locked as written there (e.g. relative to it) rather than
+ * as resolved on this machine.
+ */
+function relocateLock(lockEntry, from, to) {
+  return {
+    ...lockEntry,
+    packages: lockEntry.packages.map(pkg => (
+      pkg.source.type === 'direct' && pkg.source.location === from
+        ? { ...pkg, source: { ...pkg.source, location: to } }
+        : pkg
+    ))
+  };
+}
+
+/**
+ * Resolve one manifest entry into a layer of rendered files, with its
+ * dependencies for marketplace profiles. With a lockfile (--frozen),
+ * exactly what it records is used instead. Returns { name, files, values,
+ * lock } where files maps paths to content, values lists
+ * [valuesKey, values] and lock is the entry's lockfile record.
+ */
+async function resolveEntry(entry, config, options, spinner, lockfile) {
+  const files = new Map();
+  const values = [];
+  const declared = [];
+  let lock;
+
+  if (entry.kind === 'local') {
+    spinner.text = `Reading ${entry.profile}...`;
+    const source = await readProfileSource(entry.profile);
+    let rendered = [...source.files].map(([path, content]) => ({ path, content }));
+
+    lock = lockLocalProfile(entry.profile, readProfileMetadata(entry.profile), rendered);
+    if (lockfile) {
+      const [locked] = findLockedProfile(lockfile, entry.profile).packages;
+      assertMatchesLock(locked, { version: lock.packages[0].version, commit: null, files: rendered });
+    }
+
+    if (source.secrets?.length || source.variables) {
+      spinner.stop();
+      const secretValues = await resolveSecretValues(source.secrets);
+      const variableValues = await resolveVariableValues(entry.profile, source.variables, { ...options, assigned: entry.variables, strict: false });
+      spinner.start();
+
+      rendered = renderTemplateFiles(fillSecretPlaceholders(rendered, source.secrets, secretValues), source.variables, variableValues);
+      values.push([entry.profile, variableValues]);
+    }
+
+    declared.push(...Object.keys(source.variables || {}));
+    rendered.forEach(file => files.set(file.path, file.content));
+  } else {
+    spinner.text = `Downloading ${entry.profile}...`;
+    const { packages } = lockfile
+      ? await fetchLockedPackages(relocateLock(findLockedProfile(lockfile, entry.profile), entry.profile, entry.source), config, spinner)
+      : await fetchInstallPackages(entry.source, config, spinner);
+    lock = relocateLock(lockInstalledProfile(entry.profile, packages, config), entry.source, entry.profile);
+
+    const rendered = await renderInstallPackages(packages, { ...options, assigned: entry.variables }, spinner);
+
+    for (const pkg of packages) {
+      declared.push(...Object.keys(pkg.node.metadata.variables || {}));
+      values.push([pkg.valuesKey, pkg.variableValues]);
+    }
+    // Later profiles overwrite files from the dependencies they build on
+    rendered.forEach(file => files.set(file.path, file.content));
+  }
+
+  const unknown = Object.keys(entry.variables).filter(name => !declared.includes(name));
+  if (unknown.length > 0) {
+    throw new CpmError(ERROR_CODES.validation, `Unknown variable(s) for ${entry.profile} in ${MANIFEST_FILE}: ${unknown.join(', ')}`);
+  }
+
+  return { name: entry.profile, files, values, lock };
+}
+
+/**
+ * Read the profile files currently in a .claude folder
+ */
+function readCurrentFiles(dir) {
+  const files = new Map();
+
+  if (existsSync(dir)) {
+    for (const file of getFilesToArchive(dir)) {
+      files.set(file, readFileSync(join(dir, file)));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Compare the files a target should have with what it has.
+ * Returns { added, changed, removed } lists of paths.
+ */
+function compareFiles(wanted, current) {
+  const added = [];
+  const changed = [];
+
+  for (const [path, content] of wanted) {
+    if (!current.has(path)) {
+      added.push(path);
+    } else if (!isSameContent(current.get(path), content)) {
+      changed.push(path);
+    }
+  }
+
+  const removed = [...current.keys()].filter(path => !wanted.has(path));
+  return { added, changed, removed };
+}
+
+/**
+ * Install exactly the profiles declared in the project's .cpm.json into
+ * its .claude folders, replacing whatever else is there. Does nothing
+ * when they already match.
+ */
+export async function syncProject(options) {
+  setOfflineMode(options.offline);
+
+  const file = findManifest();
+  if (!file) {
+    console.log(chalk.red(`✗ No ${MANIFEST_FILE} in ${process.cwd()} or its parent directories`));
+    console.log(chalk.dim('  Create one listing the profiles this project needs; see the README.'));
+    process.exit(EXIT_CODES.notFound);
+  }
+
+  let manifest;
+  try {
+    manifest = readManifest(file);
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  const targets = getSyncTargets(manifest);
+
+  console.log('');
+  console.log(chalk.bold(`Syncing: ${chalk.cyan(file)}`) + chalk.dim(` (strategy: ${manifest.strategy})`));
+  console.log('');
+
+  // Download, verify and render everything before any folder is touched
+  const spinner = ora('Resolving profiles...').start();
+  try {
+    const config = await getConfig();
+
+    for (const target of targets) {
+      const existingLock = readLockfile(target.dir);
+      if (options.frozen) {
+        if (!existingLock) {
+          throw new CpmError(ERROR_CODES.validation, `Lockfile not found: ${getLockfilePath(target.dir)}. Run cpm sync without --frozen to create it.`);
+        }
+        const extra = existingLock.profiles.filter(locked => !target.entries.some(entry => entry.profile === locked.ref));
+        if (extra.length > 0) {
+          throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch: ${extra.map(locked => locked.ref).join(', ')} in ${LOCKFILE} but not in ${MANIFEST_FILE}`);
+        }
+      }
+
+      const layers = [];
+      for (const entry of target.entries) {
+        layers.push(await resolveEntry(entry, config, options, spinner, options.frozen ? existingLock : null));
+      }
+
+      const result = composeLayers(layers, manifest.strategy);
+      target.layers = layers;
+      target.conflicts = result.conflicts;
+      target.files = new Map([...result.files].map(([path, { content }]) => [path, content]));
+      target.lock = createLockfile(layers.map(layer => layer.lock));
+
+      // mcp.json is merged into the user's own servers, keeping theirs on
+      // conflicts, so compare against what that merge leaves
+      const expected = new Map(target.files);
+      const { content: mcpContent } = await mergeMcpFile(target.dir, target.files.get(MCP_FILE) ?? null, {
+        owned: getActiveState(target.dir)?.mcpServers || []
+      });
+      if (mcpContent === null) {
+        expected.delete(MCP_FILE);
+      } else {
+        expected.set(MCP_FILE, mcpContent);
+      }
+
+      target.changes = {
+        ...compareFiles(expected, readCurrentFiles(target.dir)),
+        // --frozen installs what the lockfile says and never rewrites it
+        lockfile: !options.frozen && JSON.stringify(existingLock) !== JSON.stringify(target.lock)
+      };
+    }
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to resolve ${MANIFEST_FILE}: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+
+  let outOfSync = 0;
+  for (const target of targets) {
+    const { added, changed, removed, lockfile } = target.changes;
+    target.fileChanges = added.length + changed.length + removed.length;
+
+    console.log(chalk.dim('Target: ') + `${target.dir} (${target.scope})`);
+    target.entries.forEach((entry, i) => {
+      console.log(chalk.dim(`  ${i + 1}. `) + chalk.cyan(entry.profile));
+    });
+
+    for (const conflict of target.conflicts) {
+      const resolution = manifest.strategy === 'error' ? '' : chalk.dim(` → ${conflict.winner}`);
+      console.log(chalk.yellow(`  ⚠ ${conflict.path} `) + chalk.dim(`(${conflict.sources.join(', ')})`) + resolution);
+    }
+
+    if (target.fileChanges === 0 && !lockfile) {
+      console.log(chalk.green('  ✓ In sync'));
+    } else {
+      outOfSync++;
+      added.forEach(path => console.log(chalk.green(`  + ${path}`)));
+      changed.forEach(path => console.log(chalk.yellow(`  ~ ${path}`)));
+      removed.forEach(path => console.log(chalk.red(`  - ${path}`)));
+      if (lockfile) {
+        console.log(chalk.yellow(`  ~ ${LOCKFILE}`));
+      }
+    }
+    console.log('');
+  }
+
+  if (manifest.strategy === 'error' && targets.some(target => target.conflicts.length > 0)) {
+    console.log(chalk.red(`✗ Aborted: conflicts found. Set "strategy" in ${MANIFEST_FILE} to last-wins or skip to resolve them.`));
+    process.exit(EXIT_CODES.conflict);
+  }
+
+  if (outOfSync === 0) {
+    console.log(chalk.green('✓ Already in sync. Nothing to change.'));
+    return;
+  }
+
+  if (options.check) {
+    console.log(chalk.red(`✗ ${outOfSync} .claude folder(s) out of sync with ${MANIFEST_FILE}. Run: cpm sync`));
+    process.exit(EXIT_CODES.failed);
+  }
+
+  const replacing = targets.filter(target => target.fileChanges > 0).length;
+  if (replacing > 0 && !options.force) {
+    if (!await confirmAction(`This will replace the profile content of ${replacing} .claude folder(s). Continue?`)) {
+      console.log(chalk.yellow('Aborted.'));
+      process.exit(0);
+    }
+
+    options.backup = await confirmBackup(options);
+  }
+
+  const applySpinner = ora('Applying profiles...').start();
+  let backedUp = 0;
+
+  try {
+    for (const target of targets) {
+      if (target.fileChanges > 0) {
+        applySpinner.text = `Syncing ${target.dir}...`;
+        if (options.backup && existsSync(target.dir)) {
+          createBackup(target.dir, { trigger: 'sync' });
+          backedUp++;
+        }
+
+        const { mcpServers } = await runProfileTransaction(target.dir, {
+          stage: stagingDir => writeProfileFiles(stagingDir, [...target.files].map(([path, content]) => ({ path, content }))),
+          trigger: 'sync',
+          onMcpConflicts: conflicts => chooseMcpConflicts(conflicts, applySpinner)
+        });
+        target.mcpServers = mcpServers;
+
+        for (const layer of target.layers) {
+          for (const [key, values] of layer.values) {
+            saveValues(key, values);
+          }
+        }
+      }
+
+      if (target.changes.lockfile) {
+        writeLockfile(target.dir, target.lock);
+      }
+
+      const active = target.layers.map(layer => {
+        const { version, source } = layer.lock.packages[layer.lock.packages.length - 1];
+        return { name: layer.name, source: source.registry || source.location || source.type, version };
+      });
+      recordActiveProfiles(target.dir, active, { trigger: 'sync', mcpServers: target.mcpServers });
+    }
+
+    applySpinner.succeed(chalk.green(`Synced ${outOfSync} .claude folder(s) with ${MANIFEST_FILE}`));
+    if (backedUp > 0) {
+      console.log(chalk.dim('  Previous config backed up'));
+    }
+    console.log('');
+  } catch (error) {
+    applySpinner.fail(chalk.red(`Sync failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
@@ -0,0 +1,87 @@
+import { create, extract, list } from 'tar';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { HISTORY_DIR } from './history.js';
+import { isProfileFilePath, readProfileFiles } from './snapshot.js';
+import { assertFilesVerified } from './integrity.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+/**
+ * Pack a profile directory (profile.json plus its files, without revision
+ * history) into a gzipped tarball.
+ */
+export async function packProfile(profileDir, outFile) {
+  const entries = readdirSync(profileDir).filter(entry => entry !== HISTORY_DIR);
+
+  await create({ gzip: true, file: outFile, cwd: profileDir, portable: true }, entries);
+}
+
+/**
+ * List the file paths in a profile archive, rejecting anything that could not
+ * have come from `packProfile` (links, devices, paths outside the allowlist).
+ */
+async function listProfileArchive(file) {
+  const files = [];
+  const problems = [];
+
+  await list({
+    file,
+    onReadEntry: entry => {
+      const path = entry.path.replace(/^\.\//, '').replace(/\/$/, '');
+
+      if (entry.type === 'Directory') return;
+
+      if (entry.type !== 'File') {
+        problems.push(`${entry.path}: unsupported entry type ${entry.type}`);
+      } else if (!isProfileFilePath(path)) {
+        problems.push(`${entry.path}: not an allowed profile file`);
+      } else {
+        files.push(path);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid profile archive:\n  ${problems.join('\n  ')}`);
+  }
+
+  return files;
+}
+
+/**
+ * Validate a profile archive and unpack it into `destDir`.
+ * Returns the profile metadata.
+ */
+export async function unpackProfile(file, destDir) {
+  const files = await listProfileArchive(file);
+
+  if (!files.includes('profile.json')) {
+    throw new CpmError(ERROR_CODES.validation, 'Invalid profile archive: missing profile.json');
+  }
+
+  await extract({
+    file,
+    cwd: destDir,
+    strict: true,
+    filter: (path, entry) => entry.type === 'Directory' || isProfileFilePath(path)
+  });
+
+  let metadata;
+  try {
+    metadata = JSON.parse(readFileSync(join(destDir, 'profile.json'), 'utf-8'));
+  } catch (error) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid profile.json in archive: ${error.message}`);
+  }
+
+  const missing = (metadata.files || [])
+    .map(f => f.replace(/\\/g, '/'))
+    .filter(f => !existsSync(join(destDir, f)));
+
+  if (missing.length > 0) {
+    throw new Error(`Archive is missing files listed in profile.json: ${missing.join(', ')}`);
+  }
+
+  assertFilesVerified(metadata, readProfileFiles(destDir, null), 'archive');
+
+  return metadata;
+}
@@ -1,6 +1,7 @@
 import { execSync } from 'child_process';
 import chalk from 'chalk';
 import ora from 'ora';
+import { CpmError, ERROR_CODES } from './errors.js';
 
 const GITHUB_API = 'https://api.github.com';
 const HEADERS_BASE = {
@@ -74,7 +75,7 @@ export async function authenticateWithDeviceFlow() {
   });
 
   if (!codeResponse.ok) {
-    throw new Error(`Device flow initiation failed: ${codeResponse.status}`);
+    throw new CpmError(ERROR_CODES.auth, `Device flow initiation failed: ${codeResponse.status}`);
   }
 
   const { device_code, user_code, verification_uri, interval, expires_in } = await codeResponse.json();
@@ -125,21 +126,21 @@ export async function authenticateWithDeviceFlow() {
 
     if (data.error === 'expired_token') {
       spinner.fail('Authorization expired. Please try again.');
-      throw new Error('Device flow expired.');
+      throw new CpmError(ERROR_CODES.auth, 'Device flow expired.');
     }
 
     if (data.error === 'access_denied') {
       spinner.fail('Authorization denied.');
-      throw new Error('User denied authorization.');
+      throw new CpmError(ERROR_CODES.auth, 'User denied authorization.');
     }
 
     // Unknown error
     spinner.fail(`Authorization failed: ${data.error}`);
-    throw new Error(data.error_description || data.error);
+    throw new CpmError(ERROR_CODES.auth, data.error_description || data.error);
   }
 
   spinner.fail('Authorization timed out.');
-  throw new Error('Device flow timed out.');
+  throw new CpmError(ERROR_CODES.auth, 'Device flow timed out.');
 }
 
 /**
@@ -154,7 +155,7 @@ export async function getGitHubUsername(token) {
 
   if (!response.ok) {
     if (response.status === 401) {
-      throw new Error('GitHub credentials are expired or invalid. Re-authenticate with git and try again.');
+      throw new CpmError(ERROR_CODES.auth, 'GitHub credentials are expired or invalid. Re-authenticate with git and try again.');
     }
     throw new Error(`GitHub API error: ${response.status}`);
   }
@@ -237,7 +238,10 @@ export async function createProfilePR(token, repo, { author, name, profileJson,
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(`GitHub API ${method} ${path} failed (${response.status}): ${errorData.message || 'Unknown error'}`);
+      throw new CpmError(
+        [401, 403].includes(response.status) ? ERROR_CODES.auth : ERROR_CODES.failed,
+        `GitHub API ${method} ${path} failed (${response.status}): ${errorData.message || 'Unknown error'}`
+      );
     }
 
     return response.json();
@@ -364,6 +368,11 @@ function buildPRBody(author, name, metadata) {
     ''
   ];
 
+  if (metadata.signature) {
+    lines.push(`**Signed:** ed25519 key \`${metadata.signature.keyId}\``);
+    lines.push('');
+  }
+
   const contents = metadata.contents || {};
   if (Object.keys(contents).length > 0) {
     lines.push('**Contents:**');
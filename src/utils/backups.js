@@ -0,0 +1,140 @@
+import { existsSync, readdirSync, readFileSync, writeFileSync, statSync, cpSync, rmSync } from 'fs';
+import { join } from 'path';
+import { DEFAULTS } from './config.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Backups live in the profiles dir as .claude-backup-<timestamp>, with a
+// .claude-backup-<timestamp>.json sidecar describing where they came from
+const BACKUP_PREFIX = '.claude-backup-';
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Total size in bytes of all files under a directory
+ */
+function getDirSize(dir) {
+  let size = 0;
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += getDirSize(fullPath);
+    } else if (entry.isFile()) {
+      size += statSync(fullPath).size;
+    }
+  }
+
+  return size;
+}
+
+/**
+ * Copy a .claude directory into a timestamped backup folder in the profiles dir.
+ * `trigger` describes the operation that asked for the backup (e.g. "load my-setup").
+ * Returns the backup record.
+ */
+export function createBackup(claudeDir, { trigger } = {}) {
+  const id = String(Date.now());
+  const backupPath = join(DEFAULTS.profilesDir, BACKUP_PREFIX + id);
+
+  cpSync(claudeDir, backupPath, { recursive: true });
+
+  const record = {
+    id,
+    createdAt: new Date(Number(id)).toISOString(),
+    source: claudeDir,
+    size: getDirSize(backupPath),
+    trigger: trigger || null
+  };
+
+  writeFileSync(`${backupPath}.json`, JSON.stringify(record, null, 2));
+
+  return { ...record, path: backupPath };
+}
+
+/**
+ * List all backups, newest first.
+ * Backups made before metadata was recorded are included with what can be inferred.
+ */
+export function listBackups() {
+  const profilesDir = DEFAULTS.profilesDir;
+
+  if (!existsSync(profilesDir)) {
+    return [];
+  }
+
+  return readdirSync(profilesDir)
+    .filter(name => name.startsWith(BACKUP_PREFIX) && !name.endsWith('.json'))
+    .filter(name => statSync(join(profilesDir, name)).isDirectory())
+    .map(name => {
+      const path = join(profilesDir, name);
+      const id = name.slice(BACKUP_PREFIX.length);
+
+      let record = {};
+      if (existsSync(`${path}.json`)) {
+        try {
+          record = JSON.parse(readFileSync(`${path}.json`, 'utf-8'));
+        } catch {
+          // Fall back to inferred values
+        }
+      }
+
+      return {
+        id,
+        createdAt: record.createdAt || new Date(Number(id) || statSync(path).mtimeMs).toISOString(),
+        source: record.source || null,
+        size: record.size ?? getDirSize(path),
+        trigger: record.trigger || null,
+        path
+      };
+    })
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Find a backup by id (the timestamp) or by its full folder name
+ */
+export function findBackup(id) {
+  const normalized = id.startsWith(BACKUP_PREFIX) ? id.slice(BACKUP_PREFIX.length) : id;
+  return listBackups().find(backup => backup.id === normalized) || null;
+}
+
+/**
+ * Delete a backup folder and its metadata sidecar
+ */
+export function deleteBackup(backup) {
+  rmSync(backup.path, { recursive: true, force: true });
+  rmSync(`${backup.path}.json`, { force: true });
+}
+
+/**
+ * Parse a duration such as "30d", "12h", "2w" or "45m" into milliseconds
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+
+  if (!match) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid duration "${value}". Use a number followed by m, h, d or w (e.g. 30d).`);
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Select the backups a prune would delete. A backup is pruned when it is
+ * outside the newest `keep` backups and older than `olderThan` ms; when only
+ * one of the two is given, that rule alone decides.
+ */
+export function selectBackupsToPrune(backups, { keep, olderThan } = {}) {
+  const now = Date.now();
+
+  return backups.filter((backup, i) => {
+    const beyondKeep = keep === undefined || i >= keep;
+    const tooOld = olderThan === undefined || now - new Date(backup.createdAt).getTime() > olderThan;
+    return beyondKeep && tooOld;
+  });
+}
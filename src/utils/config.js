@@ -1,35 +1,87 @@
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 
 const HOME = homedir();
 
+// Which .claude folder --scope picks
+export const CLAUDE_DIR_SCOPES = ['project', 'user'];
+
+// Set by --scope / --claude-dir: the .claude folder to use for this run
+let claudeDirOptions = {};
+
 /**
- * Find Claude directory - checks project root first (codespaces), then home
+ * Choose the .claude folder for this run ({ scope } or { claudeDir });
+ * without either it is found automatically
  */
-function findClaudeDir() {
-  const candidates = [
-    join(process.cwd(), '.claude'),  // Project root (codespaces, dev environments)
-    join(HOME, '.claude'),           // Home directory (standard local install)
-  ];
-
-  for (const dir of candidates) {
-    if (existsSync(dir)) {
-      return dir;
-    }
+export function setClaudeDirOptions({ scope, claudeDir } = {}) {
+  claudeDirOptions = { scope, claudeDir };
+}
+
+/**
+ * The .claude folders cpm can work on: the project's (current directory,
+ * e.g. in codespaces and dev containers) and the user's (home directory)
+ */
+export function getClaudeDirCandidates() {
+  return {
+    project: join(process.cwd(), '.claude'),
+    user: join(HOME, '.claude')
+  };
+}
+
+/**
+ * Work out which .claude folder commands act on, and why:
+ * --claude-dir, then --scope, then CPM_CLAUDE_DIR, then a project .claude
+ * if there is one, else the user's. Returns { dir, scope, reason } where
+ * scope is 'project', 'user' or 'custom'.
+ */
+export function resolveClaudeDir() {
+  const candidates = getClaudeDirCandidates();
+  const toPath = path => resolve(path.replace(/^~(?=$|[\\/])/, HOME));
+  let dir, reason;
+
+  if (claudeDirOptions.claudeDir) {
+    dir = toPath(claudeDirOptions.claudeDir);
+    reason = '--claude-dir';
+  } else if (claudeDirOptions.scope) {
+    dir = candidates[claudeDirOptions.scope];
+    reason = '--scope';
+  } else if (process.env.CPM_CLAUDE_DIR) {
+    dir = toPath(process.env.CPM_CLAUDE_DIR);
+    reason = 'CPM_CLAUDE_DIR';
+  } else if (existsSync(candidates.project)) {
+    dir = candidates.project;
+    reason = 'found in the current directory';
+  } else {
+    dir = candidates.user;
+    reason = 'default';
   }
 
-  // Default to home directory if not found
-  return join(HOME, '.claude');
+  const scope = CLAUDE_DIR_SCOPES.find(s => candidates[s] === dir) || 'custom';
+  return { dir, scope, reason };
+}
+
+/**
+ * The active .claude folder for display, e.g. "/repo/.claude (project, --scope)"
+ */
+export function describeClaudeDir() {
+  const { dir, scope, reason } = resolveClaudeDir();
+  return `${dir} (${scope}, ${reason})`;
 }
 
 // Default paths
 const DEFAULTS = {
-  claudeDir: findClaudeDir(),
   profilesDir: join(HOME, '.claude-profiles'),
   cacheDir: join(HOME, '.claude-profiles', '.cache'),
   configFile: join(HOME, '.claude-profiles', 'config.json'),
-  marketplaceRepo: 'brennanr9/claude-profile-manager'
+  // Outside the profiles dir: undo keeps the live .claude files, secrets included
+  undoDir: join(process.env.XDG_STATE_HOME || join(HOME, '.local', 'state'), 'claude-profile-manager', 'undo'),
+  marketplaceRepo: 'brennanr9/claude-profile-manager',
+  // Marketplace registries, highest priority first
+  registries: [
+    { alias: 'public', repo: 'brennanr9/claude-profile-manager' }
+  ],
+  trustedKeys: {}
 };
 
 /**
@@ -60,10 +112,21 @@ export async function getConfig() {
     }
   }
   
-  return {
+  const config = {
     ...DEFAULTS,
-    ...userConfig
+    ...userConfig,
+    claudeDir: resolveClaudeDir().dir
   };
+
+  // Configs saved before registries existed name a single marketplaceRepo
+  if (!userConfig.registries && userConfig.marketplaceRepo && userConfig.marketplaceRepo !== DEFAULTS.marketplaceRepo) {
+    config.registries = [{ alias: 'default', repo: userConfig.marketplaceRepo }];
+  }
+
+  // The highest-priority GitHub registry, for code that predates registries
+  config.marketplaceRepo = config.registries.find(r => r.repo)?.repo || DEFAULTS.marketplaceRepo;
+
+  return config;
 }
 
 /**
@@ -77,7 +140,8 @@ export async function updateConfig(updates) {
   
   // Only save user-configurable options
   const toSave = {
-    marketplaceRepo: newConfig.marketplaceRepo
+    registries: newConfig.registries,
+    trustedKeys: newConfig.trustedKeys
   };
   
   writeFileSync(DEFAULTS.configFile, JSON.stringify(toSave, null, 2));
@@ -92,11 +156,18 @@ export function getProfilePath(name) {
   return join(DEFAULTS.profilesDir, name);
 }
 
+/**
+ * Check that a profile name is safe to use as a directory name
+ */
+export function isValidProfileName(name) {
+  return /^[a-z0-9][a-z0-9-_]*[a-z0-9]$|^[a-z0-9]$/i.test(name);
+}
+
 /**
  * Check if Claude directory exists
  */
 export function claudeDirExists() {
-  return existsSync(DEFAULTS.claudeDir);
+  return existsSync(resolveClaudeDir().dir);
 }
 
 export { DEFAULTS };
@@ -0,0 +1,117 @@
+import { satisfiesRange } from './history.js';
+import { parseProfileRef, getAvailableVersions } from './registries.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+/**
+ * Resolve a marketplace profile's dependencies into a tree.
+ *
+ * Each dependency ("author/name" or "alias:author/name") is looked up in
+ * the merged marketplace index (highest-priority registry first), and the
+ * newest listed version matching the requested range is picked. Its
+ * profile.json, fetched with `fetchProfile(author, name, registryAlias,
+ * version)` -> { metadata, commit }, supplies the next level of
+ * dependencies. A profile required twice is resolved once and marked
+ * `repeated` the second time. Throws on cycles, missing profiles and
+ * unsatisfied ranges.
+ *
+ * Returns { ref, registry, commit, version, range, metadata, repeated, dependencies: [...] },
+ * keeping any other fields of `root` on the root node.
+ */
+export async function resolveDependencyTree(root, { index, fetchProfile }) {
+  const resolved = new Map();
+
+  async function visit(ref, range, stack, rootNode) {
+    // A root from outside any registry (e.g. ./path) is identified by its
+    // profile.json instead of its reference
+    const { alias, author, name } = rootNode && !rootNode.registry
+      ? { alias: null, author: rootNode.metadata.author, name: rootNode.metadata.name }
+      : parseProfileRef(ref);
+    const requiredBy = stack.length > 0 ? stack[stack.length - 1].ref : null;
+
+    let entry = null;
+    if (!rootNode) {
+      entry = (index.profiles || []).find(p => (
+        p.author === author && p.name === name && (!alias || p.registry === alias)
+      ));
+
+      if (!entry) {
+        throw new CpmError(ERROR_CODES.profileNotFound, `Dependency not found in marketplace: ${ref} (required by ${requiredBy})`);
+      }
+    }
+
+    // Identify profiles by registry too, so "x/y" and "public:x/y" match
+    const registryAlias = rootNode ? rootNode.registry : entry.registry;
+    const key = `${registryAlias}:${author}/${name}`;
+
+    if (stack.some(node => node.key === key)) {
+      throw new CpmError(ERROR_CODES.conflict, `Dependency cycle: ${[...stack.map(node => node.ref), ref].join(' → ')}`);
+    }
+
+    const seen = resolved.get(key);
+    if (seen) {
+      if (!satisfiesRange(seen.version, range)) {
+        throw new CpmError(ERROR_CODES.conflict, `${ref}@${seen.version} does not satisfy ${range} (required by ${requiredBy})`);
+      }
+      return { ref, registry: registryAlias, commit: seen.commit, version: seen.version, range, metadata: seen.metadata, repeated: true, dependencies: [] };
+    }
+
+    let metadata = rootNode?.metadata;
+    let commit = rootNode?.commit;
+    if (!rootNode) {
+      const version = getAvailableVersions(entry).find(v => satisfiesRange(v, range));
+      if (!version) {
+        const available = getAvailableVersions(entry).join(', ') || 'none';
+        throw new CpmError(ERROR_CODES.versionNotFound, `No version of ${ref} satisfies ${range} (required by ${requiredBy}; available: ${available})`);
+      }
+      ({ metadata, commit } = await fetchProfile(author, name, registryAlias, version));
+    }
+
+    const version = metadata.version || '1.0.0';
+    resolved.set(key, { version, commit, metadata });
+
+    const dependencies = [];
+    for (const [dep, depRange] of Object.entries(metadata.dependencies || {})) {
+      dependencies.push(await visit(dep, depRange, [...stack, { key, ref }]));
+    }
+
+    return { ...rootNode, ref, registry: registryAlias, commit, version, range, metadata, repeated: false, dependencies };
+  }
+
+  return visit(root.ref, null, [], root);
+}
+
+/**
+ * Flatten a dependency tree into the order profiles are applied:
+ * dependencies before the profiles that need them, each profile once
+ */
+export function getInstallOrder(tree) {
+  const order = [];
+
+  function walk(node) {
+    if (node.repeated) return;
+    node.dependencies.forEach(walk);
+    order.push(node);
+  }
+
+  walk(tree);
+  return order;
+}
+
+/**
+ * Format a dependency tree as indented lines with box-drawing branches
+ */
+export function formatDependencyTree(tree) {
+  const lines = [`${tree.ref}@${tree.version}`];
+
+  function walk(nodes, prefix) {
+    nodes.forEach((node, i) => {
+      const last = i === nodes.length - 1;
+      const details = [node.range, node.repeated && 'see above'].filter(Boolean).join(', ');
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${node.ref}@${node.version}${details ? ` (${details})` : ''}`);
+      walk(node.dependencies, prefix + (last ? '    ' : '│   '));
+    });
+  }
+
+  walk(tree.dependencies, '');
+  return lines;
+}
@@ -0,0 +1,149 @@
+// Number of unchanged lines shown around each change in a hunk
+const CONTEXT_LINES = 3;
+
+// Most line edits a diff is worked out for; the search keeps O(D²) numbers,
+// so files further apart than this are only reported as different
+const MAX_EDITS = 2000;
+
+/**
+ * Split text into lines, ignoring the empty entry after a trailing newline
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script between two texts (Myers' O(ND) algorithm).
+ * Returns an array of { type, line } entries where type is ' ', '-' or '+',
+ * or null when the texts need more than `maxEdits` line edits.
+ */
+export function diffLines(oldText, newText, maxEdits = MAX_EDITS) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  // trace[d] holds v for diagonals -d-1..d+1 before step d, at index k + d + 1
+  const trace = [];
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEdits) return null;
+
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[k - 1 + d + 1] < prev[k + 1 + d + 1]))
+      ? k + 1
+      : k - 1;
+    const prevX = prev[prevK + d + 1];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[--y] });
+      } else {
+        ops.push({ type: '-', line: a[--x] });
+      }
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Build unified diff hunks between two texts.
+ * Returns an array of { oldStart, oldLines, newStart, newLines, lines }
+ * where each entry in lines is prefixed with ' ', '-' or '+', or null when
+ * the texts are too far apart to diff.
+ */
+export function unifiedDiff(oldText, newText, context = CONTEXT_LINES) {
+  const ops = diffLines(oldText, newText);
+  if (!ops) return null;
+
+  // Annotate each op with its 1-based position in both files
+  let oldLine = 1;
+  let newLine = 1;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  // Group changes that are close enough to share context
+  const ranges = [];
+  positioned.forEach((op, i) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(positioned.length, i + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const slice = positioned.slice(start, end);
+    const oldLines = slice.filter(op => op.type !== '+').length;
+    const newLines = slice.filter(op => op.type !== '-').length;
+    return {
+      oldStart: oldLines ? slice.find(op => op.type !== '+').oldLine : slice[0].oldLine - 1,
+      oldLines,
+      newStart: newLines ? slice.find(op => op.type !== '-').newLine : slice[0].newLine - 1,
+      newLines,
+      lines: slice.map(op => op.type + op.line)
+    };
+  });
+}
+
+/**
+ * Count added and removed lines between two texts, or null when they are
+ * too far apart to diff
+ */
+export function countLineChanges(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  if (!ops) return null;
+
+  let added = 0;
+  let removed = 0;
+
+  for (const op of ops) {
+    if (op.type === '+') added++;
+    if (op.type === '-') removed++;
+  }
+
+  return { added, removed };
+}
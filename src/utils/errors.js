@@ -0,0 +1,25 @@
+// Codes of errors printed with --json; scripts can rely on these
+export const ERROR_CODES = {
+  usage: 'USAGE_ERROR',
+  profileNotFound: 'PROFILE_NOT_FOUND',
+  versionNotFound: 'VERSION_NOT_FOUND',
+  unknownRef: 'UNKNOWN_REF',
+  notMirrored: 'NOT_MIRRORED',
+  validation: 'VALIDATION_FAILED',
+  network: 'NETWORK_ERROR',
+  auth: 'AUTH_FAILED',
+  conflict: 'CONFLICT',
+  failed: 'COMMAND_FAILED'
+};
+
+/**
+ * An error carrying one of ERROR_CODES. The code, not the wording of the
+ * message, decides the exit status and the code printed with --json.
+ */
+export class CpmError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CpmError';
+    this.code = code;
+  }
+}
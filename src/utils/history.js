@@ -0,0 +1,162 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, cpSync, rmSync } from 'fs';
+import { join } from 'path';
+import { getProfilePath } from './config.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Folder inside a profile directory that holds previous snapshots,
+// one numbered subfolder per revision (.history/1, .history/2, ...)
+export const HISTORY_DIR = '.history';
+
+const BUMP_LEVELS = ['major', 'minor', 'patch'];
+
+/**
+ * Bump a semver version string by the given level (patch by default)
+ */
+export function bumpVersion(version, level = 'patch') {
+  if (!BUMP_LEVELS.includes(level)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid bump level "${level}". Use one of: ${BUMP_LEVELS.join(', ')}`);
+  }
+
+  const [major, minor, patch] = (version || '1.0.0').split('.').map(n => parseInt(n, 10) || 0);
+
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Compare two semver version strings (-1, 0 or 1)
+ */
+export function compareVersions(a, b) {
+  const pa = (a || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+  const pb = (b || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) > (pb[i] || 0) ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Check a version against a range: "1.2.3" (exact), "^1.2.3" (same major),
+ * "~1.2.3" (same minor), ">=1.2.3", or "*" / "latest" (any version)
+ */
+export function satisfiesRange(version, range) {
+  const spec = String(range || '*').trim();
+
+  if (spec === '*' || spec === 'latest' || spec === '') return true;
+
+  const match = spec.match(/^(\^|~|>=)?\s*v?(\d+(?:\.\d+){0,2})$/);
+  if (!match) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid version range "${range}". Use e.g. 1.2.3, ^1.2.3, ~1.2.3 or >=1.2.3`);
+  }
+
+  const [, operator, base] = match;
+  const [major, minor] = base.split('.').map(n => parseInt(n, 10) || 0);
+  const [vMajor, vMinor] = (version || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+  const atLeast = compareVersions(version, base) >= 0;
+
+  if (operator === '>=') return atLeast;
+  if (operator === '^') return atLeast && vMajor === major;
+  if (operator === '~') return atLeast && vMajor === major && vMinor === minor;
+  return compareVersions(version, base) === 0;
+}
+
+/**
+ * List archived revisions of a profile, oldest first.
+ * Each entry is { revision, version, savedAt, files, path }.
+ */
+export function listRevisions(profileName) {
+  const historyDir = join(getProfilePath(profileName), HISTORY_DIR);
+
+  if (!existsSync(historyDir)) {
+    return [];
+  }
+
+  return readdirSync(historyDir)
+    .filter(entry => /^\d+$/.test(entry) && existsSync(join(historyDir, entry, 'profile.json')))
+    .map(entry => {
+      const path = join(historyDir, entry);
+      const metadata = JSON.parse(readFileSync(join(path, 'profile.json'), 'utf-8'));
+      return {
+        revision: parseInt(entry, 10),
+        version: metadata.version || '1.0.0',
+        savedAt: metadata.updatedAt || metadata.createdAt,
+        files: (metadata.files || []).length,
+        path
+      };
+    })
+    .sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Move the current snapshot of a profile into a new numbered revision.
+ * Returns the revision number.
+ */
+export function archiveRevision(profileName) {
+  const profileDir = getProfilePath(profileName);
+  const revisions = listRevisions(profileName);
+  const revision = revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1;
+  const revisionDir = join(profileDir, HISTORY_DIR, String(revision));
+
+  mkdirSync(revisionDir, { recursive: true });
+
+  for (const entry of readdirSync(profileDir)) {
+    if (entry === HISTORY_DIR) continue;
+    renameSync(join(profileDir, entry), join(revisionDir, entry));
+  }
+
+  return revision;
+}
+
+/**
+ * Undo archiveRevision after a failed write: drop whatever the profile
+ * folder holds now and move the archived revision back in place
+ */
+export function unarchiveRevision(profileName, revision) {
+  const profileDir = getProfilePath(profileName);
+  const revisionDir = join(profileDir, HISTORY_DIR, String(revision));
+
+  for (const entry of readdirSync(profileDir)) {
+    if (entry === HISTORY_DIR) continue;
+    rmSync(join(profileDir, entry), { recursive: true, force: true });
+  }
+
+  for (const entry of readdirSync(revisionDir)) {
+    renameSync(join(revisionDir, entry), join(profileDir, entry));
+  }
+  rmSync(revisionDir, { recursive: true, force: true });
+}
+
+/**
+ * Get the highest version a profile has ever had, current or archived
+ */
+export function getLatestVersion(profileName, currentVersion) {
+  return listRevisions(profileName)
+    .map(r => r.version)
+    .reduce((latest, v) => (compareVersions(v, latest) > 0 ? v : latest), currentVersion || '1.0.0');
+}
+
+/**
+ * Restore an archived revision as the current snapshot of a profile.
+ * The current snapshot is archived first, so a rollback can itself be undone.
+ */
+export function restoreRevision(profileName, version) {
+  const revision = listRevisions(profileName)
+    .filter(r => r.version === version)
+    .pop();
+
+  if (!revision) {
+    throw new CpmError(ERROR_CODES.versionNotFound, `Version ${version} not found in the history of "${profileName}"`);
+  }
+
+  const archived = archiveRevision(profileName);
+  try {
+    cpSync(revision.path, getProfilePath(profileName), { recursive: true });
+  } catch (error) {
+    unarchiveRevision(profileName, archived);
+    throw error;
+  }
+
+  return revision;
+}
@@ -0,0 +1,198 @@
+import { assertFilesVerified } from './integrity.js';
+import { verifyMetadataSignature } from './signing.js';
+import { fetchMarketplaceFile, fetchMarketplaceProfile, isDirectSource, openDirectSource, assertProfileFilePath } from './sources.js';
+import { fetchMergedIndex, findRegistry, parseProfileRef } from './registries.js';
+import { resolveSecretValues, fillSecretPlaceholders } from './placeholders.js';
+import { resolveVariableValues, renderTemplateFiles } from './variables.js';
+import { resolveDependencyTree, getInstallOrder } from './dependencies.js';
+import { describeRegistry } from './providers.js';
+import { assertMatchesLock } from './lockfile.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+/**
+ * Download a resolved profile's files (from the marketplace, or from the
+ * directory, URL or git repository it was opened from) and check them
+ * against its checksums and signature. The spinner, if given, shows
+ * progress. Returns { files, integrity, signature }.
+ */
+export async function downloadVerifiedProfile({ ref: profilePath, registry: alias, commit, metadata, source }, config, spinner = {}) {
+  const { author, name } = source ? metadata : parseProfileRef(profilePath);
+  const registry = source ? null : findRegistry(config, alias);
+  // Normalize paths to forward slashes (handles profiles saved on Windows)
+  const paths = (metadata.files || []).map(f => f.replace(/\\/g, '/'));
+
+  if (paths.length === 0) {
+    throw new Error(`Profile ${profilePath} has no files to install`);
+  }
+
+  // Every source, registry or direct, lists its files in profile.json:
+  // refuse any that would land outside the profile before fetching
+  paths.forEach(assertProfileFilePath);
+
+  const files = [];
+  for (const filePath of paths) {
+    spinner.text = `Downloading ${profilePath}: ${filePath}...`;
+    const content = source
+      ? await source.fetchFile(filePath)
+      : await fetchMarketplaceFile(author, name, filePath, registry, commit);
+    files.push({ path: filePath, content });
+  }
+
+  // Refuse to install anything that doesn't match what the author published
+  spinner.text = 'Verifying checksums...';
+  const integrity = assertFilesVerified(metadata, files, profilePath);
+
+  // Check the author's signature over profile.json and its checksums
+  const signature = verifyMetadataSignature(metadata, config.trustedKeys, author);
+  if (signature.status === 'invalid') {
+    throw new CpmError(ERROR_CODES.validation, `Signature of ${profilePath} is invalid. The profile may have been modified after it was signed.`);
+  }
+
+  return { files, integrity, signature };
+}
+
+/**
+ * Resolve and download everything installing a profile takes: the profile
+ * ([alias:]author/name[@version], or a directory, profile.json URL or git
+ * repository) and its dependencies, each verified against its checksums
+ * and signature. Nothing is written.
+ *
+ * Returns { registry, source, author, commit, metadata, tree, packages }
+ * where packages are { node, files, integrity, signature } in install
+ * order: dependencies first, the requested profile last.
+ */
+export async function fetchInstallPackages(profilePath, config, spinner) {
+  let source = null;
+
+  try {
+    // Pick the registry and commit (pinned version, git ref, or the current
+    // branch head), then fetch profile.json for the file list and dependencies.
+    // Direct sources are opened (and git repositories cloned) instead.
+    let registry = null;
+    let author, commit, metadata;
+    if (isDirectSource(profilePath)) {
+      source = await openDirectSource(profilePath);
+      ({ commit, metadata } = source);
+      author = metadata.author;
+    } else {
+      ({ registry, author, commit, metadata } = await fetchMarketplaceProfile(profilePath));
+    }
+
+    // Resolve dependencies through the marketplace index; they are applied
+    // first, in order, with the requested profile on top
+    let tree = { ref: profilePath, registry: registry?.alias || null, commit, version: metadata.version || '1.0.0', metadata, source, dependencies: [] };
+    if (Object.keys(metadata.dependencies || {}).length > 0) {
+      spinner.text = 'Resolving dependencies...';
+      tree = await resolveDependencyTree(tree, {
+        index: await fetchMergedIndex(),
+        fetchProfile: (depAuthor, depName, alias, version) => fetchMarketplaceProfile(`${alias}:${depAuthor}/${depName}@${version}`)
+      });
+    }
+
+    // Download and verify every profile before anything is written
+    const packages = [];
+    for (const node of getInstallOrder(tree)) {
+      packages.push({ node, ...await downloadVerifiedProfile(node, config, spinner) });
+    }
+
+    return { registry, source, author, commit, metadata, tree, packages };
+  } finally {
+    // Everything is downloaded; drop any temporary clone
+    source?.cleanup();
+  }
+}
+
+/**
+ * Download exactly the packages a lockfile entry records (see
+ * lockInstalledProfile) without resolving anything again: registry
+ * profiles at their locked commit (or version, for registries without
+ * history), direct sources from the same place. Each must match its
+ * locked version, commit and file hashes.
+ *
+ * Returns the same { registry, source, author, commit, metadata, tree,
+ * packages } as fetchInstallPackages, with the dependencies flattened
+ * into the tree.
+ */
+export async function fetchLockedPackages(locked, config, spinner) {
+  const packages = [];
+  let registry = null;
+  let source = null;
+
+  for (const pkg of locked.packages) {
+    let node;
+    if (pkg.source.type === 'direct') {
+      source = await openDirectSource(pkg.source.location);
+      node = { ref: pkg.source.location, registry: null, commit: source.commit, version: source.metadata.version || '1.0.0', metadata: source.metadata, source };
+    } else if (pkg.source.type === 'registry') {
+      source = null;
+      const spec = /^[0-9a-f]{40}$/.test(pkg.commit || '') ? pkg.commit : pkg.version;
+      const ref = `${pkg.source.registry}:${pkg.name}@${spec}`;
+      spinner.text = `Downloading ${ref}...`;
+
+      const fetched = await fetchMarketplaceProfile(ref);
+      registry = fetched.registry;
+      if (describeRegistry(registry) !== pkg.source.location) {
+        throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${pkg.name}@${pkg.version}: registry ${registry.alias} is now ${describeRegistry(registry)}, locked ${pkg.source.location}`);
+      }
+      node = { ref: pkg.name, registry: registry.alias, commit: fetched.commit, version: fetched.metadata.version || '1.0.0', metadata: fetched.metadata, source: null };
+    } else {
+      throw new CpmError(ERROR_CODES.validation, `Invalid ${pkg.name} in lockfile: can't install a ${pkg.source.type} profile`);
+    }
+
+    try {
+      const downloaded = await downloadVerifiedProfile(node, config, spinner);
+      assertMatchesLock(pkg, { version: node.version, commit: node.commit, files: downloaded.files });
+      packages.push({ node, ...downloaded });
+    } finally {
+      node.source?.cleanup();
+    }
+  }
+
+  // The requested profile is last; show the others as its dependencies
+  const root = packages[packages.length - 1].node;
+  const tree = {
+    ...root,
+    ref: locked.ref,
+    dependencies: packages.slice(0, -1).map(({ node }) => ({ ...node, range: 'locked', repeated: false, dependencies: [] }))
+  };
+
+  return { registry: root.source ? null : registry, source, author: root.metadata.author, commit: root.commit, metadata: root.metadata, tree, packages };
+}
+
+/**
+ * Fill in the secrets (placeholders like ${GITHUB_TOKEN}) and {{variables}}
+ * of downloaded packages, asking for any values that aren't given.
+ * Sets pkg.valuesKey and pkg.variableValues on each package; returns the
+ * rendered { path, content } files of all packages in order.
+ */
+export async function renderInstallPackages(packages, options, spinner) {
+  const rendered = [];
+
+  for (const pkg of packages) {
+    const { ref, metadata: meta, source } = pkg.node;
+    // Saved values are shared by every version of a profile
+    if (source) {
+      pkg.valuesKey = meta.author ? `${meta.author}/${meta.name}` : meta.name;
+    } else {
+      const { author, name } = parseProfileRef(ref);
+      pkg.valuesKey = `${author}/${name}`;
+    }
+    let secretValues = {};
+    pkg.variableValues = {};
+
+    if (meta.secrets?.length || meta.variables) {
+      spinner.stop();
+      secretValues = await resolveSecretValues(meta.secrets);
+      pkg.variableValues = await resolveVariableValues(pkg.valuesKey, meta.variables, { ...options, strict: false });
+      spinner.start();
+    }
+
+    rendered.push(...renderTemplateFiles(
+      fillSecretPlaceholders(pkg.files, meta.secrets, secretValues),
+      meta.variables,
+      pkg.variableValues
+    ));
+  }
+
+  return rendered;
+}
@@ -0,0 +1,98 @@
+import { createHash } from 'crypto';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+/**
+ * SHA-256 of a file's content (Buffer or string) as hex
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash over a whole profile, derived from its per-file checksums so that
+ * renaming, adding or removing a file changes it too
+ */
+export function computeProfileChecksum(checksums) {
+  const lines = Object.keys(checksums)
+    .sort()
+    .map(path => `${path}\0${checksums[path].sha256}\0${checksums[path].size}\n`);
+
+  return hashContent(lines.join(''));
+}
+
+/**
+ * Compute checksums for a list of { path, content } files.
+ * Returns { checksums, profileChecksum } ready to store in profile.json.
+ */
+export function computeChecksums(files) {
+  const checksums = {};
+
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+    checksums[file.path] = {
+      sha256: hashContent(content),
+      size: content.length
+    };
+  }
+
+  return { checksums, profileChecksum: computeProfileChecksum(checksums) };
+}
+
+/**
+ * Check a list of { path, content } files against the checksums in a
+ * profile's metadata.
+ *
+ * Returns { status, problems } where status is "verified", "unverified"
+ * (profile saved before checksums were recorded) or "mismatch".
+ */
+export function verifyFiles(metadata, files) {
+  if (!metadata?.checksums) {
+    return { status: 'unverified', problems: [] };
+  }
+
+  const problems = [];
+  const expected = metadata.checksums;
+  const seen = new Set();
+
+  if (metadata.profileChecksum && computeProfileChecksum(expected) !== metadata.profileChecksum) {
+    problems.push('profile checksum does not match the file checksums');
+  }
+
+  for (const file of files) {
+    seen.add(file.path);
+    const entry = expected[file.path];
+
+    if (!entry) {
+      problems.push(`${file.path}: not listed in profile checksums`);
+      continue;
+    }
+
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+    if (content.length !== entry.size) {
+      problems.push(`${file.path}: size ${content.length} bytes, expected ${entry.size}`);
+    } else if (hashContent(content) !== entry.sha256) {
+      problems.push(`${file.path}: SHA-256 mismatch`);
+    }
+  }
+
+  for (const path of Object.keys(expected)) {
+    if (!seen.has(path)) {
+      problems.push(`${path}: missing`);
+    }
+  }
+
+  return { status: problems.length > 0 ? 'mismatch' : 'verified', problems };
+}
+
+/**
+ * Throw if files do not match their recorded checksums
+ */
+export function assertFilesVerified(metadata, files, label) {
+  const result = verifyFiles(metadata, files);
+
+  if (result.status === 'mismatch') {
+    throw new CpmError(ERROR_CODES.validation, `Integrity check failed for ${label}:\n  ${result.problems.join('\n  ')}`);
+  }
+
+  return result;
+}
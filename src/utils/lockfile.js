@@ -0,0 +1,153 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { hashContent } from './integrity.js';
+import { findRegistry, parseProfileRef } from './registries.js';
+import { describeRegistry } from './providers.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Lockfile kept in each .claude folder, recording exactly what was installed
+export const LOCKFILE = 'cpm-lock.json';
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Path of the lockfile of a .claude folder
+ */
+export function getLockfilePath(claudeDir) {
+  return join(claudeDir, LOCKFILE);
+}
+
+/**
+ * Read the lockfile of a .claude folder, or null if there is none
+ */
+export function readLockfile(claudeDir) {
+  const file = getLockfilePath(claudeDir);
+  if (!existsSync(file)) return null;
+
+  let lock;
+  try {
+    lock = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    throw new CpmError(ERROR_CODES.validation, `Invalid JSON in ${file}`);
+  }
+
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${file}: unsupported lockfileVersion ${lock.lockfileVersion}`);
+  }
+  if (!Array.isArray(lock.profiles)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${file}: "profiles" must be a list`);
+  }
+
+  return lock;
+}
+
+/**
+ * Build the lockfile document for a list of locked profiles
+ */
+export function createLockfile(profiles) {
+  return { lockfileVersion: LOCKFILE_VERSION, profiles };
+}
+
+/**
+ * Write a lockfile document into a .claude folder. Returns false (and
+ * leaves the file alone) when it already says the same.
+ */
+export function writeLockfile(claudeDir, lock) {
+  const content = JSON.stringify(lock, null, 2) + '\n';
+  const file = getLockfilePath(claudeDir);
+
+  if (existsSync(file) && readFileSync(file, 'utf-8') === content) {
+    return false;
+  }
+
+  mkdirSync(claudeDir, { recursive: true });
+  writeFileSync(file, content);
+  return true;
+}
+
+/**
+ * Hash every file of a package, keyed by path in path order
+ */
+function hashFiles(files) {
+  const hashes = {};
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    hashes[file.path] = hashContent(file.content);
+  }
+  return hashes;
+}
+
+/**
+ * Lock entry for a profile installed with its dependencies:
+ * { ref, packages } where each downloaded package (dependencies first)
+ * records its name, version, source, commit and file hashes
+ */
+export function lockInstalledProfile(ref, packages, config) {
+  return {
+    ref,
+    packages: packages.map(({ node, files }) => {
+      let name, source;
+      if (node.source) {
+        name = node.metadata.author ? `${node.metadata.author}/${node.metadata.name}` : node.metadata.name;
+        source = { type: 'direct', location: node.ref };
+      } else {
+        const { author, name: profileName } = parseProfileRef(node.ref);
+        name = `${author}/${profileName}`;
+        source = { type: 'registry', registry: node.registry, location: describeRegistry(findRegistry(config, node.registry)) };
+      }
+
+      return { name, version: node.version, source, commit: node.commit || null, files: hashFiles(files) };
+    })
+  };
+}
+
+/**
+ * Lock entry for a locally saved profile
+ */
+export function lockLocalProfile(name, metadata, files) {
+  return {
+    ref: name,
+    packages: [{ name, version: metadata?.version || '1.0.0', source: { type: 'local' }, commit: null, files: hashFiles(files) }]
+  };
+}
+
+/**
+ * Find the locked profile for a reference, or throw
+ */
+export function findLockedProfile(lock, ref) {
+  const locked = lock.profiles.find(profile => profile.ref === ref);
+
+  if (!locked) {
+    throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch: ${ref} is not in ${LOCKFILE}. Run without --frozen to update it.`);
+  }
+
+  return locked;
+}
+
+/**
+ * Check a downloaded package against its lock entry: same version, same
+ * commit and exactly the same files. Throws on the first difference.
+ */
+export function assertMatchesLock(locked, { version, commit, files }) {
+  const label = `${locked.name}@${locked.version}`;
+
+  if (version !== locked.version) {
+    throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${label}: found version ${version}`);
+  }
+  if (locked.commit && commit !== locked.commit) {
+    throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${label}: found commit ${String(commit).slice(0, 12)}, locked ${locked.commit.slice(0, 12)}`);
+  }
+
+  const hashes = hashFiles(files);
+  for (const path of Object.keys(locked.files)) {
+    if (!hashes[path]) {
+      throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${label}: ${path} is missing`);
+    }
+    if (hashes[path] !== locked.files[path]) {
+      throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${label}: ${path} has changed`);
+    }
+  }
+  for (const path of Object.keys(hashes)) {
+    if (!locked.files[path]) {
+      throw new CpmError(ERROR_CODES.validation, `Lockfile mismatch for ${label}: ${path} is not in ${LOCKFILE}`);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { CLAUDE_DIR_SCOPES, isValidProfileName } from './config.js';
+import { MERGE_STRATEGIES } from './merge.js';
+import { parseProfileRef } from './registries.js';
+import { isDirectSource } from './sources.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Project manifest declaring the profiles a repository needs
+export const MANIFEST_FILE = '.cpm.json';
+
+/**
+ * Find the .cpm.json of the project containing `startDir`, looking in it
+ * and then each parent directory. Returns its path, or null if there is none.
+ */
+export function findManifest(startDir = process.cwd()) {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const file = join(dir, MANIFEST_FILE);
+    if (existsSync(file)) return file;
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check one entry of "profiles" and normalize it to
+ * { profile, source, kind, scope, variables } where kind is 'local',
+ * 'marketplace' or 'direct' and source is what to install: the profile
+ * as written, with relative directories resolved against the manifest.
+ */
+function normalizeEntry(entry, index, dir, defaultScope) {
+  const where = `profiles[${index}]`;
+  const { profile, scope = defaultScope, variables = {} } = typeof entry === 'string' ? { profile: entry } : entry || {};
+
+  if (typeof profile !== 'string' || !profile) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: ${where} needs a "profile"`);
+  }
+  if (!CLAUDE_DIR_SCOPES.includes(scope)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: ${where} has scope "${scope}". Use one of: ${CLAUDE_DIR_SCOPES.join(', ')}`);
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: ${where} "variables" must be an object`);
+  }
+
+  if (isDirectSource(profile)) {
+    const source = /^\.{1,2}([\\/]|$)/.test(profile) ? resolve(dir, profile) : profile;
+    return { profile, source, kind: 'direct', scope, variables };
+  }
+
+  if (profile.includes('/')) {
+    try {
+      parseProfileRef(profile);
+    } catch (error) {
+      throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: ${where}: ${error.message}`);
+    }
+    return { profile, source: profile, kind: 'marketplace', scope, variables };
+  }
+
+  if (!isValidProfileName(profile)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: ${where} "${profile}" is not a profile name or reference`);
+  }
+  return { profile, source: profile, kind: 'local', scope, variables };
+}
+
+/**
+ * Read and check a .cpm.json:
+ *
+ *   {
+ *     "scope": "project",
+ *     "strategy": "last-wins",
+ *     "profiles": [
+ *       "alice/react-expert@1.2.0",
+ *       { "profile": "team-base", "scope": "user", "variables": { "language": "en" } }
+ *     ]
+ *   }
+ *
+ * Returns { file, dir, scope, strategy, profiles } with every entry normalized.
+ */
+export function readManifest(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid JSON in ${file}: ${error.message}`);
+  }
+
+  const { scope = 'project', strategy = 'last-wins', profiles } = manifest || {};
+
+  if (!CLAUDE_DIR_SCOPES.includes(scope)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: scope "${scope}". Use one of: ${CLAUDE_DIR_SCOPES.join(', ')}`);
+  }
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: strategy "${strategy}". Use one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  if (!Array.isArray(profiles)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid ${MANIFEST_FILE}: "profiles" must be a list`);
+  }
+
+  const dir = dirname(resolve(file));
+  return {
+    file,
+    dir,
+    scope,
+    strategy,
+    profiles: profiles.map((entry, i) => normalizeEntry(entry, i, dir, scope))
+  };
+}
@@ -0,0 +1,211 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// The one profile file that is merged into .claude instead of replaced
+export const MCP_FILE = 'mcp.json';
+
+/**
+ * Parse the content of an mcp.json, or null if there is none
+ */
+export function parseMcpConfig(content, label = MCP_FILE) {
+  if (content === null || content === undefined) return null;
+
+  try {
+    return JSON.parse(content.toString());
+  } catch {
+    throw new CpmError(ERROR_CODES.validation, `Invalid JSON in ${label}`);
+  }
+}
+
+/**
+ * Read the mcp.json of a .claude folder, or null if there is none
+ */
+export function readMcpConfig(claudeDir) {
+  const file = join(claudeDir, MCP_FILE);
+  return existsSync(file) ? parseMcpConfig(readFileSync(file, 'utf-8'), file) : null;
+}
+
+/**
+ * Get the servers of an mcp.json keyed by name. Reads "mcpServers", or the
+ * top level for files that list the servers directly.
+ */
+export function getMcpServers(config) {
+  if (!config || typeof config !== 'object') return {};
+
+  const servers = config.mcpServers && typeof config.mcpServers === 'object' ? config.mcpServers : config;
+  return Object.fromEntries(
+    Object.entries(servers).filter(([, server]) => server && typeof server === 'object' && !Array.isArray(server))
+  );
+}
+
+/**
+ * Whether two server entries start the same server: same command, args and
+ * env (or url, for remote servers)
+ */
+function isSameServer(a, b) {
+  return ['command', 'args', 'env', 'url'].every(key => JSON.stringify(a[key] ?? null) === JSON.stringify(b[key] ?? null));
+}
+
+/**
+ * Work out how a profile's mcp.json goes on top of the current one.
+ * Servers named in `drop` (added by the previous profile) are removed
+ * first; the rest of the current servers are the user's own and stay.
+ * Returns { current, incoming, order, settings, conflicts } where order is
+ * the current server order, settings holds any other top-level keys and
+ * conflicts lists the servers both define differently as
+ * { name, current, incoming }.
+ */
+export function planMcpMerge(currentConfig, incomingConfig, { drop = [] } = {}) {
+  const current = getMcpServers(currentConfig);
+  const order = Object.keys(current);
+  for (const name of drop) {
+    delete current[name];
+  }
+  const incoming = getMcpServers(incomingConfig);
+
+  const conflicts = Object.keys(incoming)
+    .filter(name => current[name] && !isSameServer(current[name], incoming[name]))
+    .map(name => ({ name, current: current[name], incoming: incoming[name] }));
+
+  // Other top-level settings: the user's, overridden by the profile's
+  const settings = {};
+  for (const config of [currentConfig, incomingConfig]) {
+    if (config?.mcpServers) {
+      const { mcpServers: _servers, ...other } = config;
+      Object.assign(settings, other);
+    }
+  }
+
+  return { current, incoming, order, settings, conflicts };
+}
+
+/**
+ * Merge a planned mcp.json, keeping the user's version of the conflicting
+ * servers named in `keep`. Returns { config, added } where config is null
+ * when nothing is left and added lists the servers the profile put there
+ * (the ones a later profile switch removes).
+ */
+export function applyMcpMerge(plan, { keep = [] } = {}) {
+  const merged = { ...plan.current };
+  const added = [];
+
+  for (const [name, server] of Object.entries(plan.incoming)) {
+    if (keep.includes(name)) continue;
+    // A server the user already has as-is stays theirs
+    if (!plan.current[name] || !isSameServer(plan.current[name], server)) {
+      added.push(name);
+    }
+    merged[name] = server;
+  }
+
+  // Servers keep their place in the file, so reapplying a profile is a no-op
+  const servers = {};
+  for (const name of [...plan.order, ...Object.keys(merged)]) {
+    if (merged[name] && !servers[name]) {
+      servers[name] = merged[name];
+    }
+  }
+
+  if (Object.keys(servers).length === 0 && Object.keys(plan.settings).length === 0) {
+    return { config: null, added };
+  }
+
+  return { config: { ...plan.settings, mcpServers: servers }, added };
+}
+
+/**
+ * Merge a profile's mcp.json (its content, or null) into the one of a
+ * .claude folder. `owned` lists the servers profiles put there before;
+ * with `replace` they are dropped first, otherwise they stay. Servers both
+ * define differently go to `onConflicts(conflicts)`, which returns the
+ * names to keep the user's version of (all of them when not given).
+ * Returns { content, servers }: what mcp.json should now hold (null for no
+ * file) and the servers owned by profiles from then on.
+ */
+export async function mergeMcpFile(claudeDir, incomingContent, { owned = [], replace = true, onConflicts } = {}) {
+  const file = join(claudeDir, MCP_FILE);
+  const currentContent = existsSync(file) ? readFileSync(file, 'utf-8') : null;
+  const current = parseMcpConfig(currentContent, file);
+  const incoming = parseMcpConfig(incomingContent);
+  const drop = replace ? owned.filter(name => getMcpServers(current)[name]) : [];
+
+  // Nothing to merge or remove: the user's own mcp.json stays exactly as it is
+  if (!incoming && drop.length === 0) {
+    return { content: currentContent, servers: replace ? [] : owned };
+  }
+
+  const plan = planMcpMerge(current, incoming, { drop });
+  const keep = plan.conflicts.length > 0 && onConflicts
+    ? await onConflicts(plan.conflicts)
+    : plan.conflicts.map(conflict => conflict.name);
+  const { config, added } = applyMcpMerge(plan, { keep });
+
+  const kept = replace ? [] : owned.filter(name => config?.mcpServers[name]);
+  return {
+    content: config ? JSON.stringify(config, null, 2) + '\n' : null,
+    servers: [...new Set([...kept, ...added])]
+  };
+}
+
+/**
+ * Combine the mcp.json of several layers server by server, in order.
+ * Servers only one layer defines (or all define the same way) are kept;
+ * differing ones are resolved like files: `last-wins` takes the later
+ * layer, anything else keeps the earlier one.
+ * Takes [{ name, content }] and returns { content, source, conflicts } where
+ * content is null when no layer has an mcp.json, source is the last layer
+ * contributing to it and conflicts lists { name, sources, winner } per server.
+ */
+export function composeMcpLayers(layers, strategy) {
+  const present = layers.filter(layer => layer.content !== null && layer.content !== undefined);
+  if (present.length === 0) {
+    return { content: null, source: null, conflicts: [] };
+  }
+
+  const servers = {};
+  const sources = {};
+  const settings = {};
+  const conflicts = new Map();
+
+  for (const layer of present) {
+    const config = parseMcpConfig(layer.content, `${MCP_FILE} of ${layer.name}`);
+
+    for (const [name, server] of Object.entries(getMcpServers(config))) {
+      if (!servers[name]) {
+        servers[name] = server;
+        sources[name] = layer.name;
+        continue;
+      }
+
+      if (isSameServer(servers[name], server)) continue;
+
+      if (!conflicts.has(name)) {
+        conflicts.set(name, { name, sources: [sources[name]] });
+      }
+      conflicts.get(name).sources.push(layer.name);
+
+      if (strategy === 'last-wins') {
+        servers[name] = server;
+        sources[name] = layer.name;
+      }
+    }
+
+    if (config?.mcpServers) {
+      const { mcpServers: _servers, ...other } = config;
+      Object.assign(settings, other);
+    }
+  }
+
+  for (const conflict of conflicts.values()) {
+    conflict.winner = sources[conflict.name];
+  }
+
+  const source = present[present.length - 1].name;
+  // A single mcp.json goes through as it is
+  const content = present.length === 1
+    ? present[0].content
+    : JSON.stringify({ ...settings, mcpServers: servers }, null, 2) + '\n';
+
+  return { content, source, conflicts: [...conflicts.values()] };
+}
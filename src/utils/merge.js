@@ -0,0 +1,70 @@
+import { MCP_FILE, composeMcpLayers } from './mcp.js';
+import { isSameContent } from './text.js';
+
+// How to resolve a file that appears in more than one layer with different content:
+//   error     - abort before anything is written
+//   last-wins - the later layer on the command line overwrites earlier ones
+//   skip      - keep the earliest version and skip later ones
+export const MERGE_STRATEGIES = ['error', 'last-wins', 'skip'];
+
+/**
+ * Compose several file layers (as returned by the sources helpers) in order.
+ * Identical files are not conflicts; differing ones are resolved by `strategy`.
+ * mcp.json is combined server by server instead (see composeMcpLayers), and
+ * its conflicts name the server, e.g. "mcp.json: github".
+ *
+ * Returns { files, conflicts } where files maps each path to
+ * { content, source } and conflicts is a list of { path, sources, winner }.
+ */
+export function composeLayers(layers, strategy = 'last-wins') {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}". Use one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  const files = new Map();
+  const conflicts = new Map();
+
+  for (const layer of layers) {
+    for (const [path, content] of layer.files) {
+      if (path === MCP_FILE) continue;
+
+      const existing = files.get(path);
+
+      if (!existing) {
+        files.set(path, { content, source: layer.name });
+        continue;
+      }
+
+      if (isSameContent(existing.content, content)) continue;
+
+      if (!conflicts.has(path)) {
+        conflicts.set(path, { path, sources: [existing.source] });
+      }
+      conflicts.get(path).sources.push(layer.name);
+
+      if (strategy === 'last-wins') {
+        files.set(path, { content, source: layer.name });
+      }
+    }
+  }
+
+  for (const conflict of conflicts.values()) {
+    conflict.winner = files.get(conflict.path).source;
+  }
+
+  const mcp = composeMcpLayers(
+    layers.map(layer => ({ name: layer.name, content: layer.files.get(MCP_FILE) ?? null })),
+    strategy
+  );
+  if (mcp.content !== null) {
+    files.set(MCP_FILE, { content: mcp.content, source: mcp.source });
+  }
+
+  return {
+    files,
+    conflicts: [
+      ...conflicts.values(),
+      ...mcp.conflicts.map(({ name, sources, winner }) => ({ path: `${MCP_FILE}: ${name}`, sources, winner }))
+    ]
+  };
+}
@@ -0,0 +1,174 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getConfig, isValidProfileName } from './config.js';
+import { writeProfileFiles } from './snapshot.js';
+import { getRegistryKey, describeRegistry } from './providers.js';
+import { printWarning } from './output.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Folder inside the cache directory holding one mirror per registry:
+// mirror/<owner>__<repo>/{index.json, mirror.json, profiles/<author>/<name>/...}
+export const MIRROR_DIR = 'mirror';
+
+// Manifest of what each registry mirror holds, by "author/name"
+const MANIFEST_FILE = 'mirror.json';
+
+// Set by --offline: never touch the network, read everything from the mirror
+let offlineMode = false;
+
+// Registries already reported as unreachable during this run
+const warnedRegistries = new Set();
+
+/**
+ * Turn offline mode on or off for this run
+ */
+export function setOfflineMode(enabled) {
+  offlineMode = !!enabled;
+}
+
+/**
+ * Whether marketplace data must come from the mirror only
+ */
+export function isOfflineMode() {
+  return offlineMode;
+}
+
+/**
+ * Whether an error means the network could not be reached at all (as
+ * opposed to an HTTP error from a server that did answer)
+ */
+export function isNetworkError(error) {
+  return error?.name === 'FetchError' && error.type === 'system';
+}
+
+/**
+ * Tell the user, once per registry, that the mirror stands in for it
+ */
+export function warnUsingMirror(registry) {
+  if (warnedRegistries.has(registry.alias)) return;
+  warnedRegistries.add(registry.alias);
+  printWarning(`Could not reach ${registry.alias}. Using the offline mirror.`);
+}
+
+/**
+ * Directory holding the mirror of a registry
+ */
+export async function getMirrorPath(registry) {
+  const config = await getConfig();
+  return join(config.cacheDir, MIRROR_DIR, getRegistryKey(registry));
+}
+
+/**
+ * Read the manifest of a registry mirror.
+ * Returns { registry, location, commit, mirroredAt, profiles: { "author/name": { version, commit, profileChecksum, mirroredAt } } }.
+ */
+export async function readMirrorManifest(registry) {
+  const manifestFile = join(await getMirrorPath(registry), MANIFEST_FILE);
+
+  if (existsSync(manifestFile)) {
+    try {
+      return JSON.parse(readFileSync(manifestFile, 'utf-8'));
+    } catch {
+      // Treat an unreadable manifest as an empty mirror
+    }
+  }
+
+  return { registry: registry.alias, location: describeRegistry(registry), commit: null, mirroredAt: null, profiles: {} };
+}
+
+/**
+ * Save the manifest of a registry mirror
+ */
+export async function writeMirrorManifest(registry, manifest) {
+  const mirrorPath = await getMirrorPath(registry);
+  mkdirSync(mirrorPath, { recursive: true });
+  writeFileSync(join(mirrorPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Read the mirrored index.json of a registry, or null if there is none
+ */
+export async function readMirrorIndex(registry) {
+  const indexFile = join(await getMirrorPath(registry), 'index.json');
+
+  if (!existsSync(indexFile)) {
+    return null;
+  }
+
+  return JSON.parse(readFileSync(indexFile, 'utf-8'));
+}
+
+/**
+ * Save a registry's index.json into its mirror
+ */
+export async function writeMirrorIndex(registry, index) {
+  const mirrorPath = await getMirrorPath(registry);
+  const { _cachedAt, ...data } = index;
+
+  mkdirSync(mirrorPath, { recursive: true });
+  writeFileSync(join(mirrorPath, 'index.json'), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Folder of a mirrored profile. author and name come from a registry's
+ * index.json, so anything that isn't a plain profile name is refused.
+ */
+async function getMirroredProfileDir(registry, author, name) {
+  if (!isValidProfileName(author) || !isValidProfileName(name)) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid profile reference: ${author}/${name}`);
+  }
+
+  return join(await getMirrorPath(registry), 'profiles', author, name);
+}
+
+/**
+ * Get a mirrored profile's profile.json and the commit it was mirrored
+ * from. Returns { metadata, commit } or null if the profile isn't mirrored.
+ */
+export async function readMirroredProfile(registry, author, name) {
+  const manifest = await readMirrorManifest(registry);
+  const entry = manifest.profiles[`${author}/${name}`];
+  const metadataFile = join(await getMirroredProfileDir(registry, author, name), 'profile.json');
+
+  if (!entry || !existsSync(metadataFile)) {
+    return null;
+  }
+
+  return { metadata: JSON.parse(readFileSync(metadataFile, 'utf-8')), commit: entry.commit };
+}
+
+/**
+ * Read a file of a mirrored profile as a Buffer, or null if the profile
+ * isn't mirrored at that commit
+ */
+export async function readMirroredFile(registry, author, name, filePath, commit) {
+  const manifest = await readMirrorManifest(registry);
+  const entry = manifest.profiles[`${author}/${name}`];
+  const file = join(await getMirroredProfileDir(registry, author, name), filePath);
+
+  if (!entry || entry.commit !== commit || !existsSync(file)) {
+    return null;
+  }
+
+  return readFileSync(file);
+}
+
+/**
+ * Replace the mirrored copy of a profile with new metadata and files
+ * (a list of { path, content })
+ */
+export async function writeMirroredProfile(registry, author, name, { metadata, files }) {
+  const profileDir = await getMirroredProfileDir(registry, author, name);
+
+  rmSync(profileDir, { recursive: true, force: true });
+  mkdirSync(profileDir, { recursive: true });
+  writeFileSync(join(profileDir, 'profile.json'), JSON.stringify(metadata, null, 2));
+  writeProfileFiles(profileDir, files);
+}
+
+/**
+ * Delete a profile from a registry mirror
+ */
+export async function removeMirroredProfile(registry, author, name) {
+  rmSync(await getMirroredProfileDir(registry, author, name), { recursive: true, force: true });
+}
@@ -0,0 +1,123 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { isNetworkError } from './mirror.js';
+import { ERROR_CODES } from './errors.js';
+
+export { ERROR_CODES };
+
+// Exit status of cpm for each kind of failure; scripts can rely on these
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  notFound: 3,
+  validation: 4,
+  network: 5,
+  auth: 6,
+  conflict: 7
+};
+
+// Exit status for each JSON error code
+const ERROR_EXIT_CODES = {
+  [ERROR_CODES.usage]: EXIT_CODES.usage,
+  [ERROR_CODES.profileNotFound]: EXIT_CODES.notFound,
+  [ERROR_CODES.versionNotFound]: EXIT_CODES.notFound,
+  [ERROR_CODES.unknownRef]: EXIT_CODES.notFound,
+  [ERROR_CODES.notMirrored]: EXIT_CODES.network,
+  [ERROR_CODES.validation]: EXIT_CODES.validation,
+  [ERROR_CODES.network]: EXIT_CODES.network,
+  [ERROR_CODES.auth]: EXIT_CODES.auth,
+  [ERROR_CODES.conflict]: EXIT_CODES.conflict,
+  [ERROR_CODES.failed]: EXIT_CODES.failed
+};
+
+// Set by --json: print one JSON document on stdout instead of text
+let jsonMode = false;
+
+/**
+ * Turn JSON output on or off for this run
+ */
+export function setJsonMode(enabled) {
+  jsonMode = !!enabled;
+}
+
+/**
+ * Whether commands should print JSON instead of text
+ */
+export function isJsonMode() {
+  return jsonMode;
+}
+
+/**
+ * Start a spinner that stays silent when printing JSON
+ */
+export function createSpinner(text) {
+  return ora({ text, isSilent: jsonMode }).start();
+}
+
+/**
+ * Print a warning. With --json it goes to stderr so stdout stays parseable.
+ */
+export function printWarning(message) {
+  const line = chalk.yellow(`⚠ ${message}`);
+  if (jsonMode) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Print the JSON document of a command
+ */
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Work out the JSON error code for an error thrown by the utils: the code
+ * a CpmError carries, NETWORK_ERROR when a request couldn't be made, and
+ * COMMAND_FAILED for anything else
+ */
+export function getErrorCode(error) {
+  if (Object.values(ERROR_CODES).includes(error?.code)) return error.code;
+  if (isNetworkError(error)) return ERROR_CODES.network;
+  return ERROR_CODES.failed;
+}
+
+/**
+ * Exit status for an error thrown by the utils
+ */
+export function getExitCode(error) {
+  return ERROR_EXIT_CODES[getErrorCode(error)];
+}
+
+/**
+ * Print { error: { code, message } } and exit with the matching status
+ */
+export function exitWithJsonError(code, message) {
+  printJson({ error: { code, message } });
+  process.exit(ERROR_EXIT_CODES[code]);
+}
+
+/**
+ * Wrap the action of a command with --json output. The action returns its
+ * JSON document, which is printed here with --json; an error it throws
+ * then is printed as { error: { code, message } } and exits with the
+ * status of its code. Without --json both are left to the action.
+ */
+export function withJsonOutput(action) {
+  return async (...args) => {
+    let result;
+    try {
+      result = await action(...args);
+    } catch (error) {
+      if (!jsonMode) throw error;
+      exitWithJsonError(getErrorCode(error), error.message);
+    }
+
+    if (jsonMode) {
+      printJson(result);
+    }
+  };
+}
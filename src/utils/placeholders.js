@@ -0,0 +1,188 @@
+import inquirer from 'inquirer';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { DEFAULTS } from './config.js';
+import { scanContent } from './secrets.js';
+import { canPrompt } from './prompts.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Per-user secret values used to fill placeholders on load/install
+const SECRETS_FILE = join(DEFAULTS.profilesDir, 'secrets.json');
+
+// Variable names used when a secret's JSON key doesn't suggest one
+const TYPE_VARIABLES = {
+  'GitHub token': 'GITHUB_TOKEN',
+  'AWS access key ID': 'AWS_ACCESS_KEY_ID',
+  'AWS secret access key': 'AWS_SECRET_ACCESS_KEY',
+  'Anthropic API key': 'ANTHROPIC_API_KEY',
+  'OpenAI API key': 'OPENAI_API_KEY',
+  'Slack token': 'SLACK_TOKEN',
+  'Bearer token': 'BEARER_TOKEN'
+};
+
+/**
+ * Collect every string value in parsed JSON with the path of keys leading to it
+ */
+function collectStrings(node, path = [], out = []) {
+  if (typeof node === 'string') {
+    out.push({ path, value: node });
+  } else if (Array.isArray(node)) {
+    node.forEach((item, i) => collectStrings(item, [...path, i], out));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      collectStrings(value, [...path, key], out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Pick a variable name for a secret found at a JSON key path.
+ * Env-style keys (GITHUB_TOKEN) are used as-is; other keys are prefixed
+ * with their MCP server name (github + Authorization -> GITHUB_AUTHORIZATION).
+ */
+function toVariableName(path, type) {
+  const key = [...path].reverse().find(part => typeof part === 'string');
+
+  if (key && /^[A-Z][A-Z0-9_]*$/.test(key)) {
+    return key;
+  }
+
+  if (key) {
+    const server = path[0] === 'mcpServers' && typeof path[1] === 'string' ? path[1] : null;
+    return [server, key]
+      .filter(Boolean)
+      .join('_')
+      .replace(/[^A-Za-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .toUpperCase() || TYPE_VARIABLES[type] || 'SECRET';
+  }
+
+  return TYPE_VARIABLES[type] || 'SECRET';
+}
+
+/**
+ * Replace secrets found in JSON files with ${NAME} placeholders.
+ * Takes and returns a list of { path, content } files; `secrets` lists each
+ * placeholder as { name, type, files } for profile.json.
+ */
+export function extractSecretPlaceholders(files) {
+  const secrets = new Map();
+  const valuesByName = new Map();
+
+  const result = files.map(file => {
+    if (!file.path.endsWith('.json')) return file;
+
+    let parsed;
+    let content = Buffer.isBuffer(file.content) ? file.content.toString('utf-8') : file.content;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      return file;
+    }
+
+    for (const { path, value } of collectStrings(parsed)) {
+      for (const finding of scanContent(file.path, value)) {
+        let name = toVariableName(path, finding.type);
+
+        // Same name for a different value: number it instead of overwriting
+        const base = name;
+        for (let n = 2; valuesByName.has(name) && valuesByName.get(name) !== finding.value; n++) {
+          name = `${base}_${n}`;
+        }
+        valuesByName.set(name, finding.value);
+
+        content = content.split(finding.value).join(`\${${name}}`);
+
+        if (!secrets.has(name)) {
+          secrets.set(name, { name, type: finding.type, files: [] });
+        }
+        if (!secrets.get(name).files.includes(file.path)) {
+          secrets.get(name).files.push(file.path);
+        }
+      }
+    }
+
+    return { path: file.path, content };
+  });
+
+  return { files: result, secrets: [...secrets.values()] };
+}
+
+/**
+ * Fill ${NAME} placeholders for the given secrets into a list of
+ * { path, content } files. Only files listed for each secret are touched.
+ */
+export function fillSecretPlaceholders(files, secrets = [], values = {}) {
+  if (secrets.length === 0) return files;
+
+  return files.map(file => {
+    const names = secrets.filter(s => s.files.includes(file.path)).map(s => s.name);
+    if (names.length === 0) return file;
+
+    let content = Buffer.isBuffer(file.content) ? file.content.toString('utf-8') : file.content;
+    for (const name of names) {
+      if (values[name] === undefined) {
+        throw new CpmError(ERROR_CODES.validation, `No value for secret ${name}`);
+      }
+      // Escape for the JSON string the placeholder sits in
+      content = content.split(`\${${name}}`).join(JSON.stringify(values[name]).slice(1, -1));
+    }
+    return { path: file.path, content };
+  });
+}
+
+/**
+ * Read saved secret values from ~/.claude-profiles/secrets.json
+ */
+function loadStoredSecrets() {
+  if (!existsSync(SECRETS_FILE)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(SECRETS_FILE, 'utf-8'));
+  } catch {
+    throw new CpmError(ERROR_CODES.validation, `Invalid JSON in ${SECRETS_FILE}`);
+  }
+}
+
+/**
+ * Find a value for every secret a profile needs: environment variables
+ * first, then ~/.claude-profiles/secrets.json, then an interactive prompt.
+ * Returns a { NAME: value } map.
+ */
+export async function resolveSecretValues(secrets = [], { interactive = canPrompt() } = {}) {
+  const values = {};
+  if (secrets.length === 0) return values;
+
+  const stored = loadStoredSecrets();
+  const missing = [];
+
+  for (const secret of secrets) {
+    if (process.env[secret.name] !== undefined) {
+      values[secret.name] = process.env[secret.name];
+    } else if (stored[secret.name] !== undefined) {
+      values[secret.name] = String(stored[secret.name]);
+    } else {
+      missing.push(secret);
+    }
+  }
+
+  if (missing.length > 0 && !interactive) {
+    throw new CpmError(ERROR_CODES.validation, `Missing values for ${missing.map(s => s.name).join(', ')}. Set them as environment variables or in ${SECRETS_FILE}.`);
+  }
+
+  for (const secret of missing) {
+    const { value } = await inquirer.prompt([{
+      type: 'password',
+      name: 'value',
+      mask: '*',
+      message: `${secret.name} (${secret.type}, used in ${secret.files.join(', ')}):`,
+      validate: input => input.length > 0 || 'A value is required'
+    }]);
+    values[secret.name] = value;
+  }
+
+  return values;
+}
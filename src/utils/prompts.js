@@ -0,0 +1,118 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { EXIT_CODES, printWarning } from './output.js';
+
+// Set by --yes / --non-interactive or CPM_NONINTERACTIVE=1: never prompt
+let nonInteractive = false;
+
+/**
+ * Turn non-interactive mode on or off for this run
+ */
+export function setNonInteractive(enabled) {
+  nonInteractive = !!enabled;
+}
+
+/**
+ * Whether prompts are disabled for this run
+ */
+export function isNonInteractive() {
+  return nonInteractive;
+}
+
+/**
+ * Whether questions can be asked: prompts are allowed and stdin is a terminal
+ */
+export function canPrompt() {
+  return !nonInteractive && !!process.stdin.isTTY;
+}
+
+/**
+ * Ask to go ahead with a change. Non-interactive mode answers yes. Without
+ * a terminal to ask on, exits with a usage error rather than wait forever.
+ */
+export async function confirmAction(message, defaultAnswer = false) {
+  if (nonInteractive) return true;
+
+  if (!process.stdin.isTTY) {
+    console.log(chalk.red(`✗ Can't ask "${message}" without a terminal.`));
+    console.log(chalk.dim('  Pass --yes (or set CPM_NONINTERACTIVE=1) to run without prompts.'));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  const { confirm } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirm',
+    message,
+    default: defaultAnswer
+  }]);
+
+  return confirm;
+}
+
+/**
+ * Whether to back up .claude before changing it: --backup or --no-backup
+ * if given, otherwise ask. Without prompts the answer is yes.
+ */
+export async function confirmBackup(options) {
+  if (options.backup !== undefined) return options.backup;
+  if (!canPrompt()) return true;
+
+  const { backup } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'backup',
+    message: 'Backup current .claude folder first?',
+    default: true
+  }]);
+
+  return backup;
+}
+
+/**
+ * One-line summary of an MCP server: its command line (or url) and the
+ * names of its env variables, never their values
+ */
+function describeMcpServer(server) {
+  const command = [server.command, ...(server.args || [])].filter(Boolean).join(' ') || server.url || '(no command)';
+  const env = Object.keys(server.env || {});
+  return env.length > 0 ? `${command} (env: ${env.join(', ')})` : command;
+}
+
+/**
+ * Ask, for each MCP server a profile defines differently from the one
+ * already in mcp.json, which to keep. Returns the names to keep the
+ * current version of. Without prompts the current ones are kept.
+ */
+export async function chooseMcpConflicts(conflicts, spinner) {
+  spinner?.stop();
+  const keep = [];
+
+  for (const { name, current, incoming } of conflicts) {
+    if (!canPrompt()) {
+      printWarning(`MCP server "${name}" is already in mcp.json with a different command, args or env. Kept yours.`);
+      keep.push(name);
+      continue;
+    }
+
+    console.log(chalk.yellow(`MCP server "${name}" is already in mcp.json with a different command, args or env:`));
+    console.log(chalk.dim(`  yours:   ${describeMcpServer(current)}`));
+    console.log(chalk.dim(`  profile: ${describeMcpServer(incoming)}`));
+
+    const { choice } = await inquirer.prompt([{
+      type: 'list',
+      name: 'choice',
+      message: `Which "${name}" do you want?`,
+      choices: [
+        { name: 'Keep mine', value: 'current' },
+        { name: 'Use the profile\'s', value: 'incoming' }
+      ],
+      default: 'current'
+    }]);
+
+    if (choice === 'current') {
+      keep.push(name);
+    }
+  }
+
+  spinner?.start();
+  return keep;
+}
@@ -0,0 +1,294 @@
+import fetch from 'node-fetch';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+import { isProfileFilePath, writeProfileFiles } from './snapshot.js';
+import { isValidProfileName } from './config.js';
+import { createProfilePR, fetchRepoIndex } from './auth.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+const GITHUB_API = 'https://api.github.com';
+
+// Registry backends, selected by a registry's `type`
+export const REGISTRY_TYPES = ['github', 'http', 'local'];
+
+// Ref meaning "whatever the registry serves now", for backends without git
+const LATEST_REF = 'latest';
+
+// Commit SHAs already resolved during this run, by "owner/repo#ref"
+const resolvedCommits = new Map();
+
+/**
+ * Backend type of a configured registry. Registries saved before types
+ * existed only have a GitHub `repo`.
+ */
+export function getRegistryType(registry) {
+  if (registry.type) return registry.type;
+  if (registry.url) return 'http';
+  if (registry.path) return 'local';
+  return 'github';
+}
+
+/**
+ * Where a registry lives, for display: owner/repo, a URL or a directory
+ */
+export function describeRegistry(registry) {
+  return registry.repo || registry.url || registry.path;
+}
+
+/**
+ * File-name-safe key for a registry, used to name its cache and mirror
+ */
+export function getRegistryKey(registry) {
+  if (getRegistryType(registry) === 'github') {
+    return registry.repo.replace(/\//g, '__');
+  }
+
+  const location = describeRegistry(registry).replace(/^https?:\/\//, '');
+  return `${getRegistryType(registry)}-${location.replace(/[^a-z0-9.-]+/gi, '_').replace(/^_+|_+$/g, '')}`;
+}
+
+/**
+ * Turn the location given to `cpm repo add` into registry settings:
+ * an http(s) URL, a directory path, or a GitHub owner/repo
+ */
+export function parseRegistryLocation(location) {
+  if (/^https?:\/\//i.test(location)) {
+    return { type: 'http', url: location.replace(/\/+$/, '') };
+  }
+
+  if (/^(file:\/\/|\/|\.{1,2}(\/|$)|~(\/|$)|[a-z]:[\\/])/i.test(location)) {
+    const path = location
+      .replace(/^file:\/\//i, '')
+      .replace(/^~(?=$|\/)/, homedir());
+    return { type: 'local', path: resolve(path) };
+  }
+
+  if (/^[a-z0-9-_.]+\/[a-z0-9-_.]+$/i.test(location)) {
+    return { type: 'github', repo: location };
+  }
+
+  throw new CpmError(ERROR_CODES.validation, 'Invalid registry location. Use owner/repo, an http(s):// URL or a directory path');
+}
+
+/**
+ * Read-only access to a marketplace laid out as static files
+ * (index.json and profiles/<author>/<name>/...) under a base URL
+ */
+function createStaticFileMethods(registry, getBaseUrl, defaultRef) {
+  const profileUrl = (author, name, ref) => `${getBaseUrl(ref)}/profiles/${author}/${name}`;
+
+  return {
+    async fetchIndex() {
+      const response = await fetch(`${getBaseUrl(defaultRef)}/index.json`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch index of ${registry.alias} (${describeRegistry(registry)}): ${response.status}`);
+      }
+
+      return response.json();
+    },
+
+    async fetchProfileMeta(author, name, ref = defaultRef) {
+      const response = await fetch(`${profileUrl(author, name, ref)}/profile.json`);
+
+      if (!response.ok) {
+        if (response.status === 404) {
+          throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${author}/${name}${ref !== defaultRef ? ` at ${ref}` : ''}`);
+        }
+        throw new Error(`Download failed: ${response.status}`);
+      }
+
+      return response.json();
+    },
+
+    async fetchFile(author, name, filePath, ref = defaultRef) {
+      if (!isProfileFilePath(filePath)) {
+        throw new CpmError(ERROR_CODES.validation, `Refusing to download unexpected file: ${filePath}`);
+      }
+
+      const response = await fetch(`${profileUrl(author, name, ref)}/${filePath}`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to download ${filePath}: ${response.status}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+/**
+ * Reject refs on backends that only serve their current content
+ */
+function resolveLatestOnly(registry, ref) {
+  if (ref !== LATEST_REF) {
+    throw new CpmError(ERROR_CODES.unknownRef, `Unknown git ref "${ref}" in ${describeRegistry(registry)} (${getRegistryType(registry)} registries only serve their current profiles)`);
+  }
+  return LATEST_REF;
+}
+
+/**
+ * Registry hosted in a GitHub repository. Files are read from
+ * raw.githubusercontent.com at any branch, tag or commit, and profiles
+ * are submitted as pull requests.
+ */
+export function createGitHubProvider(registry) {
+  const defaultRef = registry.branch || 'main';
+  const getBaseUrl = ref => `https://raw.githubusercontent.com/${registry.repo}/${ref}`;
+  const files = createStaticFileMethods(registry, getBaseUrl, defaultRef);
+
+  return {
+    type: 'github',
+    remote: true,
+    readOnly: false,
+    defaultRef,
+    ...files,
+
+    // With a token, read index.json through the API so it is never stale
+    async fetchIndex({ token } = {}) {
+      return token ? fetchRepoIndex(token, registry.repo) : files.fetchIndex();
+    },
+
+    // Resolve a branch, tag or commit to a full commit SHA (cached for the run)
+    async resolveRef(ref) {
+      const key = `${registry.repo}#${ref}`;
+      if (resolvedCommits.has(key)) {
+        return resolvedCommits.get(key);
+      }
+
+      const headers = { Accept: 'application/vnd.github.sha' };
+      if (process.env.GITHUB_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+      }
+
+      const response = await fetch(`${GITHUB_API}/repos/${registry.repo}/commits/${ref.split('/').map(encodeURIComponent).join('/')}`, { headers });
+
+      if (response.status === 404 || response.status === 422) {
+        throw new CpmError(ERROR_CODES.unknownRef, `Unknown git ref "${ref}" in ${registry.repo}`);
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to resolve "${ref}" in ${registry.repo}: ${response.status}`);
+      }
+
+      const sha = (await response.text()).trim();
+      resolvedCommits.set(key, sha);
+      return sha;
+    },
+
+    async submitProfile(submission, { token, useFork = false } = {}) {
+      const pr = await createProfilePR(token, registry.repo, submission, { useFork });
+      return { url: pr.html_url, review: true };
+    }
+  };
+}
+
+/**
+ * Registry served as static files over HTTP(S), e.g. an internal web
+ * server hosting a copy of the marketplace. Read-only.
+ */
+export function createHttpProvider(registry) {
+  return {
+    type: 'http',
+    remote: true,
+    readOnly: true,
+    defaultRef: LATEST_REF,
+    ...createStaticFileMethods(registry, () => registry.url, LATEST_REF),
+
+    async resolveRef(ref) {
+      return resolveLatestOnly(registry, ref);
+    },
+
+    async submitProfile() {
+      throw new Error(`${registry.alias} is served over HTTP and is read-only. Add the profile to the server's files instead.`);
+    }
+  };
+}
+
+/**
+ * Registry in a local directory (or network share) with this repository's
+ * layout: index.json plus profiles/<author>/<name>/. Publishing writes the
+ * profile and index straight into the directory.
+ */
+export function createLocalProvider(registry) {
+  // Author and name become directories, so never let them leave the registry
+  const profileDir = (author, name) => {
+    if (!isValidProfileName(author) || !isValidProfileName(name)) {
+      throw new CpmError(ERROR_CODES.validation, `Invalid profile reference: ${author}/${name}`);
+    }
+    return join(registry.path, 'profiles', author, name);
+  };
+
+  return {
+    type: 'local',
+    remote: false,
+    readOnly: false,
+    defaultRef: LATEST_REF,
+
+    async fetchIndex() {
+      const indexFile = join(registry.path, 'index.json');
+
+      if (!existsSync(indexFile)) {
+        throw new Error(`Failed to fetch index of ${registry.alias}: ${indexFile} not found`);
+      }
+
+      return JSON.parse(readFileSync(indexFile, 'utf-8'));
+    },
+
+    async fetchProfileMeta(author, name) {
+      const metadataFile = join(profileDir(author, name), 'profile.json');
+
+      if (!existsSync(metadataFile)) {
+        throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${author}/${name}`);
+      }
+
+      return JSON.parse(readFileSync(metadataFile, 'utf-8'));
+    },
+
+    async fetchFile(author, name, filePath) {
+      const file = join(profileDir(author, name), filePath);
+
+      if (!isProfileFilePath(filePath) || !existsSync(file)) {
+        throw new Error(`Failed to read ${filePath} of ${author}/${name}`);
+      }
+
+      return readFileSync(file);
+    },
+
+    async resolveRef(ref) {
+      return resolveLatestOnly(registry, ref);
+    },
+
+    async submitProfile({ author, name, profileJson, profileFiles, indexUpdate }) {
+      const dir = profileDir(author, name);
+
+      rmSync(dir, { recursive: true, force: true });
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(join(dir, 'profile.json'), profileJson);
+      writeProfileFiles(dir, profileFiles);
+      writeFileSync(join(registry.path, 'index.json'), indexUpdate);
+
+      return { url: dir, review: false };
+    }
+  };
+}
+
+const PROVIDERS = {
+  github: createGitHubProvider,
+  http: createHttpProvider,
+  local: createLocalProvider
+};
+
+/**
+ * Get the provider (fetchIndex, fetchProfileMeta, fetchFile, resolveRef,
+ * submitProfile) for a configured registry
+ */
+export function getRegistryProvider(registry) {
+  const create = PROVIDERS[getRegistryType(registry)];
+
+  if (!create) {
+    throw new Error(`Unknown registry type "${registry.type}" for ${registry.alias}. Use one of: ${REGISTRY_TYPES.join(', ')}`);
+  }
+
+  return create(registry);
+}
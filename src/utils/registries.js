@@ -0,0 +1,273 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getConfig } from './config.js';
+import { compareVersions } from './history.js';
+import { isOfflineMode, isNetworkError, warnUsingMirror, readMirrorIndex } from './mirror.js';
+import { getRegistryProvider, getRegistryKey, describeRegistry } from './providers.js';
+import { printWarning } from './output.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+const INDEX_CACHE_TIME = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Check that a registry alias is usable in "alias:author/name" references
+ */
+export function isValidRegistryAlias(alias) {
+  return /^[a-z0-9][a-z0-9-_]*$/i.test(alias);
+}
+
+/**
+ * Split a marketplace reference, "[alias:]author/name[@version-or-ref]".
+ * Returns { alias, author, name, spec } (alias and spec are null when not given).
+ */
+export function parseProfileRef(ref) {
+  // Only a colon before the first slash separates a registry alias
+  const slash = ref.indexOf('/');
+  const colon = ref.indexOf(':');
+  const alias = colon > 0 && (slash === -1 || colon < slash) ? ref.slice(0, colon) : null;
+  let rest = alias ? ref.slice(colon + 1) : ref;
+
+  let spec = null;
+  const at = rest.indexOf('@');
+  if (at !== -1) {
+    spec = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+
+  const [author, name, ...extra] = rest.split('/');
+
+  if (!author || !name || extra.length > 0 || spec === '') {
+    throw new CpmError(ERROR_CODES.validation, 'Invalid profile format. Use: author/profile-name, registry:author/profile-name or author/profile-name@version');
+  }
+
+  return { alias, author, name, spec };
+}
+
+/**
+ * Whether a version spec is a plain version number (1.2.0 or v1.2.0)
+ * rather than a git ref
+ */
+export function isVersionSpec(spec) {
+  return /^v?\d+\.\d+\.\d+$/.test(spec);
+}
+
+/**
+ * Git tag marking a published version of a profile, e.g. "alice/react@1.2.0"
+ */
+export function getVersionTag(author, name, version) {
+  return `${author}/${name}@${version}`;
+}
+
+/**
+ * Get a configured registry by alias, throwing if there is none
+ */
+export function findRegistry(config, alias) {
+  const registry = config.registries.find(r => r.alias === alias);
+
+  if (!registry) {
+    throw new Error(`Unknown registry "${alias}". See configured registries with: cpm repo list`);
+  }
+
+  return registry;
+}
+
+/**
+ * The registry `cpm publish` uses by default: the highest-priority one
+ * that accepts submissions
+ */
+export function getPublishRegistry(config) {
+  return config.registries.find(r => !getRegistryProvider(r).readOnly) || config.registries[0];
+}
+
+/**
+ * Pick the commit to download a marketplace profile from.
+ *
+ * With no spec, the registry's default ref (its branch, for GitHub) is
+ * pinned to its current commit. A version (1.2.0) is looked up in the
+ * index entry's `versions` list, then as the version tag
+ * author/name@1.2.0, then as the entry's current version. Anything else
+ * is treated as a git ref (branch, tag or SHA).
+ *
+ * Returns { commit, version } where version is the requested version, if any.
+ * If the ref can't be resolved for an unpinned install (e.g. the GitHub
+ * API is unreachable), the default ref is used instead of a commit.
+ */
+export async function resolveProfileRevision(registry, { author, name, spec }, entry) {
+  const provider = getRegistryProvider(registry);
+
+  if (!spec) {
+    try {
+      return { commit: await provider.resolveRef(provider.defaultRef), version: null };
+    } catch {
+      return { commit: provider.defaultRef, version: null };
+    }
+  }
+
+  if (!isVersionSpec(spec)) {
+    return { commit: await provider.resolveRef(spec), version: null };
+  }
+
+  const version = spec.replace(/^v/, '');
+  const listed = (entry?.versions || []).find(v => v.version === version);
+
+  if (listed?.ref) {
+    return { commit: await provider.resolveRef(listed.ref), version };
+  }
+
+  try {
+    return { commit: await provider.resolveRef(getVersionTag(author, name, version)), version };
+  } catch (error) {
+    if (error.code !== ERROR_CODES.unknownRef) throw error;
+  }
+
+  if (entry && (entry.version || '1.0.0') === version) {
+    return { commit: await provider.resolveRef(provider.defaultRef), version };
+  }
+
+  const available = getAvailableVersions(entry);
+  throw new CpmError(ERROR_CODES.versionNotFound, `Version ${version} of ${author}/${name} not found${available.length ? `. Available: ${available.join(', ')}` : ''}`);
+}
+
+/**
+ * Versions of a profile listed in a registry index entry, newest first
+ */
+export function getAvailableVersions(entry) {
+  if (!entry) return [];
+
+  const versions = (entry.versions || []).map(v => v.version);
+  if (entry.version && !versions.includes(entry.version)) {
+    versions.push(entry.version);
+  }
+
+  return versions.sort((a, b) => compareVersions(b, a));
+}
+
+/**
+ * Get one registry's index (list of its profiles), cached for an hour.
+ * In offline mode, or when the network is unreachable, the mirrored
+ * index (see cpm mirror) is used instead. Local registries are always
+ * read directly.
+ */
+export async function fetchRegistryIndex(registry, forceRefresh = false) {
+  const config = await getConfig();
+  const provider = getRegistryProvider(registry);
+  const cacheFile = join(config.cacheDir, `index-${getRegistryKey(registry)}.json`);
+
+  if (!provider.remote) {
+    return provider.fetchIndex();
+  }
+
+  if (isOfflineMode()) {
+    const mirrored = await readMirrorIndex(registry);
+    if (mirrored) return mirrored;
+    if (existsSync(cacheFile)) return JSON.parse(readFileSync(cacheFile, 'utf-8'));
+    throw new CpmError(ERROR_CODES.notMirrored, `No offline mirror of ${registry.alias} (${describeRegistry(registry)}). Run: cpm mirror`);
+  }
+
+  // Check cache
+  if (!forceRefresh && existsSync(cacheFile)) {
+    try {
+      const cached = JSON.parse(readFileSync(cacheFile, 'utf-8'));
+      const age = Date.now() - (cached._cachedAt || 0);
+
+      if (age < INDEX_CACHE_TIME) {
+        return cached;
+      }
+    } catch {
+      // Ignore cache errors
+    }
+  }
+
+  try {
+    const index = await provider.fetchIndex();
+    index._cachedAt = Date.now();
+
+    // Cache it
+    mkdirSync(config.cacheDir, { recursive: true });
+    writeFileSync(cacheFile, JSON.stringify(index, null, 2));
+
+    return index;
+  } catch (error) {
+    // Without a network, the mirror matches the mirrored profile files
+    const mirrored = isNetworkError(error) ? await readMirrorIndex(registry) : null;
+    if (mirrored) {
+      warnUsingMirror(registry);
+      return mirrored;
+    }
+
+    // Try to use stale cache if available
+    if (existsSync(cacheFile)) {
+      printWarning(`Could not refresh ${registry.alias}. Using cached data.`);
+      return JSON.parse(readFileSync(cacheFile, 'utf-8'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the indexes of all registries merged into one, in priority order.
+ * Each profile is labeled with the alias of the registry it came from.
+ * Registries that can't be reached are skipped with a warning, unless
+ * none can be.
+ */
+export async function fetchMergedIndex(forceRefresh = false) {
+  const config = await getConfig();
+  const profiles = [];
+  const failures = [];
+
+  for (const registry of config.registries) {
+    try {
+      const index = await fetchRegistryIndex(registry, forceRefresh);
+      for (const profile of index.profiles || []) {
+        profiles.push({ ...profile, registry: registry.alias });
+      }
+    } catch (error) {
+      failures.push(error);
+    }
+  }
+
+  if (failures.length === config.registries.length && failures.length > 0) {
+    throw failures[0];
+  }
+  for (const error of failures) {
+    printWarning(error.message);
+  }
+
+  return { profiles };
+}
+
+/**
+ * Work out which registry a marketplace reference points at. An explicit
+ * alias wins; otherwise the highest-priority registry whose index lists
+ * the profile, falling back to the first registry.
+ * Returns { registry, author, name, spec, entry } (entry is the index listing, if any).
+ */
+export async function locateProfile(ref) {
+  const config = await getConfig();
+  const { alias, author, name, spec } = parseProfileRef(ref);
+  const matches = profile => profile.author === author && profile.name === name;
+
+  if (alias) {
+    const registry = findRegistry(config, alias);
+    let entry = null;
+    try {
+      entry = ((await fetchRegistryIndex(registry)).profiles || []).find(matches) || null;
+    } catch {
+      // The index is only informational here
+    }
+    return { registry, author, name, spec, entry };
+  }
+
+  for (const registry of config.registries) {
+    try {
+      const entry = ((await fetchRegistryIndex(registry)).profiles || []).find(matches);
+      if (entry) {
+        return { registry, author, name, spec, entry };
+      }
+    } catch {
+      // Try the next registry
+    }
+  }
+
+  return { registry: config.registries[0], author, name, spec, entry: null };
+}
@@ -0,0 +1,179 @@
+// How much a match in each part of a profile counts towards its score
+const FIELD_WEIGHTS = {
+  name: 10,
+  tags: 6,
+  contents: 5,
+  description: 3,
+  author: 2
+};
+
+// How well a query term matches a word, from exact down to a typo
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  substring: 0.6,
+  fuzzy: 0.4
+};
+
+// Content categories accepted by --has, with the keys they cover
+const CATEGORY_ALIASES = {
+  mcp: ['mcp', 'mcp_servers'],
+  mcp_servers: ['mcp', 'mcp_servers']
+};
+
+/**
+ * Split text into lowercase words
+ */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring
+ * letters as one edit ("reveiw" -> "review"), giving up past `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Match one query term against one word. Returns { quality, fragment }
+ * where fragment is the text to highlight, or null if they don't match.
+ * Short terms must match literally; longer ones may have a typo or two.
+ */
+function matchWord(term, word) {
+  if (word === term) return { quality: MATCH_QUALITY.exact, fragment: term };
+  if (word.startsWith(term)) return { quality: MATCH_QUALITY.prefix, fragment: term };
+  if (term.length >= 3 && word.includes(term)) return { quality: MATCH_QUALITY.substring, fragment: term };
+
+  const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+  if (allowed > 0 && editDistance(term, word, allowed) <= allowed) {
+    return { quality: MATCH_QUALITY.fuzzy, fragment: word };
+  }
+
+  return null;
+}
+
+/**
+ * Words of each searchable part of a marketplace index entry
+ */
+function getSearchFields(profile) {
+  return {
+    name: tokenize(profile.name),
+    tags: (profile.tags || []).flatMap(tokenize),
+    contents: Object.values(profile.contents || {}).flat().flatMap(tokenize),
+    description: tokenize(profile.description),
+    author: tokenize(profile.author)
+  };
+}
+
+/**
+ * Score a profile against query terms. Every term has to match somewhere;
+ * each counts with its best match, weighted by where it was found.
+ * Returns { score, fragments } or null if the profile doesn't match.
+ */
+export function scoreProfile(profile, terms) {
+  const fields = getSearchFields(profile);
+  const fragments = new Set();
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        const match = matchWord(term, word);
+        if (!match) continue;
+
+        fragments.add(match.fragment);
+        best = Math.max(best, FIELD_WEIGHTS[field] * match.quality);
+      }
+    }
+
+    if (best === 0) return null;
+    score += best;
+  }
+
+  // The whole query naming the profile beats any combination of words
+  if (terms.join('-') === String(profile.name).toLowerCase()) {
+    score += FIELD_WEIGHTS.name * terms.length;
+  }
+
+  return { score, fragments: [...fragments] };
+}
+
+/**
+ * Check a profile against search filters:
+ * { has, hasCommand, author, tag } (all optional, all must match)
+ */
+export function matchesFilters(profile, { has, hasCommand, author, tag } = {}) {
+  const contents = profile.contents || {};
+
+  if (has) {
+    for (const category of has.split(',').map(c => c.trim().toLowerCase()).filter(Boolean)) {
+      const keys = CATEGORY_ALIASES[category] || [category];
+      if (!keys.some(key => contents[key]?.length > 0)) return false;
+    }
+  }
+
+  if (hasCommand) {
+    const command = hasCommand.replace(/^\//, '').toLowerCase();
+    if (!(contents.commands || []).some(c => c.toLowerCase() === command)) return false;
+  }
+
+  if (author && String(profile.author).toLowerCase() !== author.toLowerCase()) {
+    return false;
+  }
+
+  if (tag && !(profile.tags || []).some(t => t.toLowerCase() === tag.toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Search index entries: filter, score and sort by relevance (best first).
+ * With an empty query every profile passing the filters is returned.
+ * Returns [{ profile, score, fragments }].
+ */
+export function searchProfiles(profiles, query, filters) {
+  const terms = tokenize(query);
+  const results = [];
+
+  for (const profile of profiles) {
+    if (!matchesFilters(profile, filters)) continue;
+
+    const match = terms.length > 0 ? scoreProfile(profile, terms) : { score: 0, fragments: [] };
+    if (match) {
+      results.push({ profile, ...match });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score
+    || (b.profile.downloads || 0) - (a.profile.downloads || 0)
+    || `${a.profile.author}/${a.profile.name}`.localeCompare(`${b.profile.author}/${b.profile.name}`));
+}
@@ -0,0 +1,129 @@
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// Marker that silences the scanner for a line. Put it on the line itself
+// or alone on the line directly above (e.g. <!-- cpm:allow-secret -->)
+export const ALLOW_SECRET_MARKER = 'cpm:allow-secret';
+
+// Known token formats, checked before the generic entropy rule
+const SECRET_PATTERNS = [
+  { type: 'GitHub token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: 'AWS access key ID', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'AWS secret access key', regex: /aws_secret_access_key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi, group: 1 },
+  { type: 'Anthropic API key', regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { type: 'OpenAI API key', regex: /\bsk-(?:proj-)?[A-Za-z0-9]{32,}\b/g },
+  { type: 'Slack token', regex: /\bxox[abpors]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'Private key', regex: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g },
+  { type: 'Bearer token', regex: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 }
+];
+
+// Generic rule: long token-like strings with high Shannon entropy
+const GENERIC_TOKEN = /[A-Za-z0-9+/_-]{32,}={0,2}/g;
+const MIN_ENTROPY = 4.5; // bits per character; hex digests top out at 4.0
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function entropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+
+  let bits = 0;
+  for (const count of Object.values(counts)) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * Whether a string looks like a random credential rather than a word or path
+ */
+function isHighEntropyToken(value) {
+  return /[a-z]/.test(value)
+    && /[A-Z]/.test(value)
+    && /[0-9]/.test(value)
+    && !value.includes('//')
+    && entropy(value) >= MIN_ENTROPY;
+}
+
+/**
+ * Whether a line holds nothing but the allow marker (optionally in a comment)
+ */
+function isMarkerLine(line) {
+  return line.replace(/<!--|-->|\/\/|\/\*|\*\/|#/g, '').trim() === ALLOW_SECRET_MARKER;
+}
+
+/**
+ * Shorten a secret for display so reports don't leak it
+ */
+export function redact(value) {
+  if (value.length <= 8) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * Scan one file's text for secrets.
+ * Returns an array of { file, line, column, type, value }.
+ */
+export function scanContent(file, content) {
+  const findings = [];
+  const lines = String(content).split(/\r?\n/);
+
+  lines.forEach((text, i) => {
+    if (text.includes(ALLOW_SECRET_MARKER)) return;
+    if (i > 0 && isMarkerLine(lines[i - 1])) return;
+
+    const taken = [];
+    const add = (type, value, index) => {
+      if (taken.some(([start, end]) => index < end && index + value.length > start)) return;
+      taken.push([index, index + value.length]);
+      findings.push({ file, line: i + 1, column: index + 1, type, value });
+    };
+
+    for (const { type, regex, group } of SECRET_PATTERNS) {
+      for (const match of text.matchAll(regex)) {
+        const value = group ? match[group] : match[0];
+        add(type, value, match.index + match[0].indexOf(value));
+      }
+    }
+
+    for (const match of text.matchAll(GENERIC_TOKEN)) {
+      if (isHighEntropyToken(match[0])) {
+        add('High-entropy string', match[0], match.index);
+      }
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Scan a list of { path, content } files for secrets
+ */
+export function scanFiles(files) {
+  return files.flatMap(file => scanContent(file.path, file.content));
+}
+
+/**
+ * Format findings as "file:line  type (redacted)" lines
+ */
+export function formatFindings(findings) {
+  return findings.map(f => `${f.file}:${f.line}  ${f.type} (${redact(f.value)})`);
+}
+
+/**
+ * Throw if any secrets are found, listing where they are and how to proceed
+ */
+export function assertNoSecrets(files) {
+  const findings = scanFiles(files);
+
+  if (findings.length > 0) {
+    throw new CpmError(ERROR_CODES.validation, [
+      `Found ${findings.length} possible secret(s):`,
+      ...formatFindings(findings).map(line => `  ${line}`),
+      `Remove them, mark the line with "${ALLOW_SECRET_MARKER}", or pass --allow-secrets.`
+    ].join('\n'));
+  }
+}
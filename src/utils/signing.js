@@ -0,0 +1,139 @@
+import { generateKeyPairSync, createPrivateKey, createPublicKey, sign, verify, createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { DEFAULTS } from './config.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+// The author's own signing key pair
+const KEYS_DIR = join(DEFAULTS.profilesDir, '.keys');
+const PRIVATE_KEY_FILE = join(KEYS_DIR, 'signing-key.pem');
+const PUBLIC_KEY_FILE = join(KEYS_DIR, 'signing-key.pub');
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level, so the
+ * same metadata always produces the same bytes to sign
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The bytes covered by a profile signature: all of profile.json
+ * (including file checksums) except the signature itself
+ */
+function getSignedPayload(metadata) {
+  const { signature, ...rest } = metadata;
+  return Buffer.from(canonicalize(rest));
+}
+
+/**
+ * Short fingerprint identifying a public key (base64 SPKI DER)
+ */
+export function getKeyId(publicKey) {
+  return createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Generate a new ed25519 signing key pair for the local user.
+ * Returns { publicKey, keyId }.
+ */
+export function generateSigningKey({ force = false } = {}) {
+  if (existsSync(PRIVATE_KEY_FILE) && !force) {
+    throw new CpmError(ERROR_CODES.conflict, `A signing key already exists at ${PRIVATE_KEY_FILE}. Use --force to replace it.`);
+  }
+
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const publicKeyB64 = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+  mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(PRIVATE_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  writeFileSync(PUBLIC_KEY_FILE, publicKeyB64 + '\n');
+
+  return { publicKey: publicKeyB64, keyId: getKeyId(publicKeyB64), path: PRIVATE_KEY_FILE };
+}
+
+/**
+ * Get the local user's public signing key, or null if none was generated
+ */
+export function getSigningPublicKey() {
+  if (!existsSync(PUBLIC_KEY_FILE)) {
+    return null;
+  }
+
+  const publicKey = readFileSync(PUBLIC_KEY_FILE, 'utf-8').trim();
+  return { publicKey, keyId: getKeyId(publicKey) };
+}
+
+/**
+ * Sign profile metadata with the local signing key.
+ * Returns the signature object to store as metadata.signature.
+ */
+export function signMetadata(metadata) {
+  if (!existsSync(PRIVATE_KEY_FILE)) {
+    throw new Error('No signing key found. Create one with: cpm keys generate');
+  }
+
+  const privateKey = createPrivateKey(readFileSync(PRIVATE_KEY_FILE, 'utf-8'));
+  const publicKey = createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+
+  return {
+    algorithm: 'ed25519',
+    keyId: getKeyId(publicKey),
+    publicKey,
+    value: sign(null, getSignedPayload(metadata), privateKey).toString('base64')
+  };
+}
+
+/**
+ * Check a single signature against a public key (base64 SPKI DER)
+ */
+function signatureMatches(metadata, publicKey) {
+  try {
+    const key = createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    return verify(null, getSignedPayload(metadata), key, Buffer.from(metadata.signature.value, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a profile's signature against the keys trusted for its author
+ * (the marketplace author the profile was fetched from, by default the
+ * author recorded in the metadata).
+ *
+ * Returns { status, keyId } where status is one of:
+ *   verified  - signed by a key trusted for this author
+ *   untrusted - validly signed, but by a key not trusted for this author
+ *   unsigned  - no signature
+ *   invalid   - the signature does not match the profile
+ */
+export function verifyMetadataSignature(metadata, trustedKeys = {}, author = metadata?.author) {
+  const signature = metadata?.signature;
+
+  if (!signature) {
+    return { status: 'unsigned', keyId: null };
+  }
+
+  if (signature.algorithm !== 'ed25519' || !signature.value) {
+    return { status: 'invalid', keyId: signature.keyId || null };
+  }
+
+  for (const publicKey of trustedKeys[author] || []) {
+    if (signatureMatches(metadata, publicKey)) {
+      return { status: 'verified', keyId: getKeyId(publicKey) };
+    }
+  }
+
+  if (signature.publicKey && signatureMatches(metadata, signature.publicKey)) {
+    return { status: 'untrusted', keyId: getKeyId(signature.publicKey) };
+  }
+
+  return { status: 'invalid', keyId: signature.keyId || null };
+}
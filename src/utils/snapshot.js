@@ -1,6 +1,15 @@
-import { existsSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync, cpSync, rmSync } from 'fs';
+import { existsSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync, rmSync } from 'fs';
 import { join, dirname, sep } from 'path';
 import { getConfig, DEFAULTS } from './config.js';
+import { HISTORY_DIR, archiveRevision, unarchiveRevision, bumpVersion, getLatestVersion } from './history.js';
+import { createBackup } from './backups.js';
+import { runProfileTransaction } from './transaction.js';
+import { computeChecksums, assertFilesVerified } from './integrity.js';
+import { assertNoSecrets } from './secrets.js';
+import { extractSecretPlaceholders, fillSecretPlaceholders } from './placeholders.js';
+import { renderTemplateFiles, restoreTemplateFiles, getSavedValues } from './variables.js';
+import { MCP_FILE, getMcpServers, parseMcpConfig } from './mcp.js';
+import { CpmError, ERROR_CODES } from './errors.js';
 
 // Files/patterns to exclude by default (secrets, caches, infra)
 const DEFAULT_EXCLUDES = [
@@ -63,49 +72,104 @@ export async function createSnapshot(profileName, options = {}) {
     throw new Error(`Claude directory not found: ${claudeDir}`);
   }
 
-  // Create profile directory
-  if (existsSync(profileDir)) {
-    throw new Error(`Profile "${profileName}" already exists. Use a different name or delete the existing one.`);
+  // Get list of files to include
+  const files = getFilesToArchive(claudeDir, options.includeSecrets);
+
+  // Swap secrets in JSON files (e.g. mcp.json env values) for ${NAME}
+  // placeholders, so real values never reach the profiles directory
+  let { files: profileFiles, secrets } = extractSecretPlaceholders(
+    files.map(file => ({ path: file, content: readFileSync(join(claudeDir, file)) }))
+  );
+
+  // Block any other secrets pasted into file contents before anything is written
+  if (!options.allowSecrets) {
+    assertNoSecrets(profileFiles);
   }
 
-  mkdirSync(profileDir, { recursive: true });
+  // Create profile directory
+  let previous = null;
+  let version = '1.0.0';
+  if (existsSync(profileDir)) {
+    if (!options.update) {
+      throw new CpmError(ERROR_CODES.conflict, `Profile "${profileName}" already exists. Use --update to save a new version, or a different name.`);
+    }
 
-  const metadataPath = join(profileDir, 'profile.json');
+    // Bump past every version the profile has had; the current snapshot
+    // is kept as a numbered revision once the new one is ready to write
+    previous = readProfileMetadata(profileName) || {};
+    version = bumpVersion(getLatestVersion(profileName, previous.version), options.bump || 'patch');
+
+    // Files that are just a {{variable}} template rendered with the values
+    // chosen on load keep the template, so variables survive a re-save
+    profileFiles = restoreTemplateFiles(
+      profileFiles,
+      readProfileFiles(profileDir),
+      previous.variables,
+      getSavedValues(profileName)
+    );
+  }
 
   // Create metadata
   const metadata = {
     name: profileName,
-    version: '1.0.0',
-    description: options.description || '',
-    tags: options.tags ? options.tags.split(',').map(t => t.trim()) : [],
-    createdAt: new Date().toISOString(),
+    version,
+    description: options.description || previous?.description || '',
+    tags: options.tags ? options.tags.split(',').map(t => t.trim()) : (previous?.tags || []),
+    createdAt: previous?.createdAt || new Date().toISOString(),
+    ...(previous && { updatedAt: new Date().toISOString() }),
     claudeVersion: await getClaudeVersion(),
     platform: process.platform,
     includesSecrets: options.includeSecrets || false,
     files: []
   };
 
-  // Get list of files to include
-  const files = getFilesToArchive(claudeDir, options.includeSecrets);
   metadata.files = files;
 
-  // Copy each file into the profile directory
-  for (const file of files) {
-    const srcPath = join(claudeDir, file);
-    const destPath = join(profileDir, file);
-
-    // Ensure parent directory exists
-    mkdirSync(dirname(destPath), { recursive: true });
+  // Hand-written declarations carry over to new versions
+  if (previous?.variables) {
+    metadata.variables = previous.variables;
+  }
+  if (previous?.dependencies) {
+    metadata.dependencies = previous.dependencies;
+  }
 
-    const content = readFileSync(srcPath);
-    writeFileSync(destPath, content);
+  // Secrets to fill back in on load: [{ name, type, files }]
+  if (secrets.length > 0) {
+    metadata.secrets = secrets;
   }
 
   // Derive structured contents from file list
-  metadata.contents = deriveContentsWithMcp(metadata.files, claudeDir);
+  metadata.contents = deriveContentsWithMcp(metadata.files, profileFiles);
+
+  // Record a SHA-256 and size per file, plus a hash over the whole profile
+  Object.assign(metadata, computeChecksums(profileFiles));
+
+  const revision = previous ? archiveRevision(profileName) : null;
 
-  // Save metadata
-  writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+  try {
+    mkdirSync(profileDir, { recursive: true });
+
+    // Copy each file into the profile directory
+    for (const file of profileFiles) {
+      const destPath = join(profileDir, file.path);
+
+      // Ensure parent directory exists
+      mkdirSync(dirname(destPath), { recursive: true });
+
+      writeFileSync(destPath, file.content);
+    }
+
+    // Save metadata
+    writeFileSync(join(profileDir, 'profile.json'), JSON.stringify(metadata, null, 2));
+  } catch (error) {
+    // Put the previous snapshot back, or leave no half-written profile
+    if (revision) {
+      unarchiveRevision(profileName, revision);
+    } else {
+      rmSync(profileDir, { recursive: true, force: true });
+    }
+    throw error;
+  }
 
   return { profileDir, metadata };
 }
@@ -119,27 +183,20 @@ export function deriveContents(files) {
 
   for (const file of files) {
     const normalized = file.split(sep).join('/');
+    const category = getFileCategory(normalized);
 
-    if (normalized === 'CLAUDE.md') {
-      if (!contents.instructions) contents.instructions = [];
-      contents.instructions.push('CLAUDE.md');
-      continue;
-    }
+    if (!category) continue;
 
-    if (normalized === 'mcp.json') {
-      if (!contents.mcp) contents.mcp = [];
-      contents.mcp.push('mcp.json');
+    if (category === 'instructions' || category === 'mcp') {
+      if (!contents[category]) contents[category] = [];
+      contents[category].push(normalized);
       continue;
     }
 
-    const parts = normalized.split('/');
-    if (parts.length >= 2) {
-      const category = parts[0];
-      const itemName = parts[1].replace(/\.[^.]+$/, ''); // strip extension
-      if (!contents[category]) contents[category] = [];
-      if (!contents[category].includes(itemName)) {
-        contents[category].push(itemName);
-      }
+    const itemName = normalized.split('/')[1].replace(/\.[^.]+$/, ''); // strip extension
+    if (!contents[category]) contents[category] = [];
+    if (!contents[category].includes(itemName)) {
+      contents[category].push(itemName);
     }
   }
 
@@ -147,20 +204,32 @@ export function deriveContents(files) {
 }
 
 /**
- * Derive contents and try to enrich MCP server names from the actual mcp.json file
+ * Get the contents category a profile file belongs to (the same keys
+ * deriveContents produces), or null for loose top-level files.
+ */
+export function getFileCategory(file) {
+  const normalized = file.split(sep).join('/');
+
+  if (normalized === 'CLAUDE.md') return 'instructions';
+  if (normalized === 'mcp.json') return 'mcp';
+
+  const parts = normalized.split('/');
+  return parts.length >= 2 ? parts[0] : null;
+}
+
+/**
+ * Derive contents and list the MCP servers by name from the mcp.json being
+ * saved, read at the mcpServers entry level the same way loads merge it
  */
-function deriveContentsWithMcp(files, claudeDir) {
+function deriveContentsWithMcp(files, profileFiles) {
   const contents = deriveContents(files);
+  const mcpFile = profileFiles.find(file => file.path === MCP_FILE);
 
-  if (contents.mcp && claudeDir) {
+  if (contents.mcp && mcpFile) {
     try {
-      const mcpPath = join(claudeDir, 'mcp.json');
-      if (existsSync(mcpPath)) {
-        const mcpData = JSON.parse(readFileSync(mcpPath, 'utf-8'));
-        const serverNames = Object.keys(mcpData.mcpServers || mcpData);
-        if (serverNames.length > 0) {
-          contents.mcp = serverNames;
-        }
+      const serverNames = Object.keys(getMcpServers(parseMcpConfig(mcpFile.content)));
+      if (serverNames.length > 0) {
+        contents.mcp = serverNames;
       }
     } catch {
       // Keep the fallback
@@ -226,6 +295,21 @@ function isAllowed(name, path) {
   return false;
 }
 
+/**
+ * Check if a relative path is a valid profile file: profile.json or a
+ * file covered by the SAFE_INCLUDES allowlist, with no path traversal.
+ */
+export function isProfileFilePath(file) {
+  const normalized = file.split(sep).join('/').replace(/^\.\//, '');
+  const parts = normalized.split('/');
+
+  if (parts.some(part => part === '' || part === '.' || part === '..')) {
+    return false;
+  }
+
+  return normalized === 'profile.json' || isAllowed(normalized, normalized);
+}
+
 /**
  * Check if a file/folder should be excluded
  */
@@ -246,7 +330,8 @@ function shouldExclude(name, path, excludes) {
 
 /**
  * Extract a profile to the .claude folder by copying files directly.
- * Uses a merge strategy to work even when Claude Code is running.
+ * Uses a merge strategy to work even when Claude Code is running, and
+ * restores the previous content if anything fails part way.
  */
 export async function extractSnapshot(profileName, options = {}) {
   const config = await getConfig();
@@ -254,14 +339,12 @@ export async function extractSnapshot(profileName, options = {}) {
   const claudeDir = config.claudeDir;
 
   if (!existsSync(profileDir) || !existsSync(join(profileDir, 'profile.json'))) {
-    throw new Error(`Profile "${profileName}" not found or corrupted`);
+    throw new CpmError(ERROR_CODES.profileNotFound, `Profile "${profileName}" not found or corrupted`);
   }
 
   // Backup existing .claude if requested
   if (options.backup && existsSync(claudeDir)) {
-    const backupName = `.claude-backup-${Date.now()}`;
-    const backupPath = join(DEFAULTS.profilesDir, backupName);
-    cpSync(claudeDir, backupPath, { recursive: true });
+    createBackup(claudeDir, { trigger: `load ${profileName}` });
   }
 
   // Check if we need force flag
@@ -269,51 +352,81 @@ export async function extractSnapshot(profileName, options = {}) {
     throw new Error('Claude directory exists. Use --force to overwrite or --backup to save current config.');
   }
 
-  // Ensure .claude directory exists
-  mkdirSync(claudeDir, { recursive: true });
-
-  // Clean out old profile content before installing new files
-  cleanProfileContent(claudeDir);
-
-  // Copy profile files (excluding profile.json) into .claude
-  copyProfileFiles(profileDir, claudeDir);
-
-  return { claudeDir };
+  // Refuse to apply files that don't match the checksums saved with the profile
+  const metadata = readProfileMetadata(profileName);
+  assertFilesVerified(metadata, readProfileFiles(profileDir, null), `"${profileName}"`);
+
+  // Stage the profile files (excluding profile.json) with secrets and
+  // {{variables}} filled in, then swap them in place of the old profile
+  // content, rolling back on any error
+  const { mcpServers } = await runProfileTransaction(claudeDir, {
+    stage: stagingDir => {
+      copyProfileFiles(profileDir, stagingDir);
+      renderStagedFiles(stagingDir, metadata, options);
+    },
+    trigger: options.trigger || `load ${profileName}`,
+    onMcpConflicts: options.onMcpConflicts
+  });
+
+  return { claudeDir, mcpServers };
 }
 
 /**
- * Remove existing profile content from a .claude directory.
- * Only removes items in the SAFE_INCLUDES allowlist (commands/, hooks/, etc.)
- * so non-profile files (settings, credentials) are preserved.
+ * List the profile content entries present in a .claude directory, as
+ * relative paths (e.g. "commands", "plugins/my-plugin", "CLAUDE.md").
+ * Only items in the SAFE_INCLUDES allowlist (commands/, hooks/, etc.) are
+ * returned, so non-profile files (settings, credentials) are never touched.
  */
-export function cleanProfileContent(claudeDir) {
-  // Directories to wipe entirely
+export function getProfileContentEntries(claudeDir) {
+  const entries = [];
+
+  // Directories owned entirely by profiles
   const contentDirs = ['commands', 'skills', 'hooks', 'mcp_servers', 'agents'];
   for (const dir of contentDirs) {
-    const dirPath = join(claudeDir, dir);
-    if (existsSync(dirPath)) {
-      rmSync(dirPath, { recursive: true, force: true });
+    if (existsSync(join(claudeDir, dir))) {
+      entries.push(dir);
     }
   }
 
-  // Plugins: only remove user-authored content, preserve Claude Code infra
+  // Plugins: only user-authored content, never Claude Code infra
   const pluginsDir = join(claudeDir, 'plugins');
   if (existsSync(pluginsDir)) {
     for (const entry of readdirSync(pluginsDir)) {
       if (!PLUGIN_INFRA_DIRS.includes(entry)) {
-        rmSync(join(pluginsDir, entry), { recursive: true, force: true });
+        entries.push(`plugins/${entry}`);
       }
     }
   }
 
-  // Individual files to remove
+  // Individual files
   const contentFiles = ['CLAUDE.md', 'mcp.json'];
   for (const file of contentFiles) {
-    const filePath = join(claudeDir, file);
-    if (existsSync(filePath)) {
-      rmSync(filePath, { force: true });
+    if (existsSync(join(claudeDir, file))) {
+      entries.push(file);
     }
   }
+
+  return entries;
+}
+
+/**
+ * Get the content entry (as returned by getProfileContentEntries) that a
+ * profile file belongs to, e.g. "commands/review.md" -> "commands".
+ */
+export function getContentEntry(file) {
+  const parts = file.split(sep).join('/').split('/');
+  return parts[0] === 'plugins' && parts.length > 1 ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Remove existing profile content from a .claude directory.
+ * Only removes the entries from getProfileContentEntries, so non-profile
+ * files (settings, credentials) are preserved.
+ */
+export function cleanProfileContent(claudeDir) {
+  for (const entry of getProfileContentEntries(claudeDir)) {
+    rmSync(join(claudeDir, entry), { recursive: true, force: true });
+  }
 }
 
 /**
@@ -323,8 +436,8 @@ function copyProfileFiles(srcDir, destDir) {
   const entries = readdirSync(srcDir, { withFileTypes: true });
 
   for (const entry of entries) {
-    // Skip profile.json — it's metadata, not a profile file
-    if (entry.name === 'profile.json') continue;
+    // Skip profile.json and revision history — metadata, not profile files
+    if (entry.name === 'profile.json' || entry.name === HISTORY_DIR) continue;
 
     const srcPath = join(srcDir, entry.name);
     const destPath = join(destDir, entry.name);
@@ -346,6 +459,41 @@ function copyProfileFiles(srcDir, destDir) {
   }
 }
 
+/**
+ * Fill secret placeholders and {{variables}} into the files of a staging
+ * directory, rewriting only the files that change
+ */
+function renderStagedFiles(stagingDir, metadata, options) {
+  const files = readProfileFiles(stagingDir, null);
+  const filled = renderTemplateFiles(
+    fillSecretPlaceholders(files, metadata.secrets, options.secretValues),
+    metadata.variables,
+    options.variableValues
+  );
+
+  writeProfileFiles(stagingDir, filled.filter((file, i) => file !== files[i]));
+}
+
+/**
+ * Write a list of { path, content } entries into a directory, overwriting
+ * existing files but leaving everything else in place.
+ */
+export function writeProfileFiles(destDir, files) {
+  for (const file of files) {
+    const destPath = join(destDir, file.path);
+    mkdirSync(dirname(destPath), { recursive: true });
+
+    try {
+      writeFileSync(destPath, file.content);
+    } catch (err) {
+      if (err.code === 'EBUSY') {
+        throw new Error(`Cannot write to ${file.path} - file is locked. Please close Claude Code and try again.`);
+      }
+      throw err;
+    }
+  }
+}
+
 /**
  * Recursively copy/merge directory contents, overwriting files.
  * This works even when the target directory has open file handles.
@@ -374,6 +522,35 @@ export function copyDirMerge(src, dest) {
   }
 }
 
+/**
+ * Read all content files from a profile directory (excluding profile.json).
+ * Returns an array of { path, content } pairs with forward-slash paths.
+ * Pass a null encoding to get content as Buffers.
+ */
+export function readProfileFiles(profileDir, encoding = 'utf-8') {
+  const files = [];
+
+  function walk(dir, relativePath = '') {
+    const entries = readdirSync(dir);
+    for (const entry of entries) {
+      if (!relativePath && (entry === 'profile.json' || entry === HISTORY_DIR)) continue;
+
+      const fullPath = join(dir, entry);
+      const relPath = relativePath ? `${relativePath}/${entry}` : entry;
+      const stat = statSync(fullPath);
+
+      if (stat.isDirectory()) {
+        walk(fullPath, relPath);
+      } else {
+        files.push({ path: relPath, content: readFileSync(fullPath, encoding) });
+      }
+    }
+  }
+
+  walk(profileDir);
+  return files;
+}
+
 /**
  * Get Claude CLI version if installed
  */
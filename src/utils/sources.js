@@ -0,0 +1,312 @@
+import fetch from 'node-fetch';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { getConfig, getProfilePath } from './config.js';
+import { getFilesToArchive, readProfileFiles, readProfileMetadata, isProfileFilePath } from './snapshot.js';
+import { assertFilesVerified } from './integrity.js';
+import { locateProfile, resolveProfileRevision, isVersionSpec } from './registries.js';
+import { isOfflineMode, isNetworkError, warnUsingMirror, readMirroredProfile, readMirroredFile } from './mirror.js';
+import { getRegistryProvider } from './providers.js';
+import { downloadVerifiedProfile } from './install.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+
+/**
+ * Get a profile from the offline mirror of a registry, checking that it
+ * is the requested version or git ref if one is given.
+ * Returns { metadata, commit }.
+ */
+async function readFromMirror(registry, author, name, spec) {
+  const mirrored = await readMirroredProfile(registry, author, name);
+
+  if (!mirrored) {
+    throw new CpmError(ERROR_CODES.notMirrored, `${author}/${name} is not in the offline mirror of ${registry.alias}. Mirror it with: cpm mirror --profiles ${author}/${name}`);
+  }
+
+  const version = mirrored.metadata.version || '1.0.0';
+  const matches = !spec
+    || (isVersionSpec(spec) ? spec.replace(/^v/, '') === version : mirrored.commit.startsWith(spec));
+
+  if (!matches) {
+    throw new Error(`The offline mirror has ${author}/${name} ${version} (${mirrored.commit.slice(0, 12)}), not ${spec}`);
+  }
+
+  return mirrored;
+}
+
+/**
+ * Fetch a marketplace profile's profile.json from a registry (the
+ * highest-priority one by default), optionally at a specific commit.
+ * Falls back to the offline mirror when the network is unavailable.
+ */
+export async function fetchMarketplaceMetadata(author, name, registry, commit) {
+  const config = await getConfig();
+  registry = registry || config.registries[0];
+  const provider = getRegistryProvider(registry);
+
+  if (isOfflineMode() && provider.remote) {
+    return (await readFromMirror(registry, author, name, commit)).metadata;
+  }
+
+  try {
+    return await provider.fetchProfileMeta(author, name, commit || provider.defaultRef);
+  } catch (error) {
+    if (!isNetworkError(error) || commit) throw error;
+    warnUsingMirror(registry);
+    return (await readFromMirror(registry, author, name)).metadata;
+  }
+}
+
+/**
+ * Download a single content file from a marketplace profile as a Buffer.
+ * Files mirrored at the same commit are read from the mirror instead.
+ */
+export async function fetchMarketplaceFile(author, name, filePath, registry, commit) {
+  assertProfileFilePath(filePath);
+
+  const config = await getConfig();
+  registry = registry || config.registries[0];
+  const provider = getRegistryProvider(registry);
+
+  const mirrored = await readMirroredFile(registry, author, name, filePath, commit);
+  if (mirrored) {
+    return mirrored;
+  }
+  if (isOfflineMode() && provider.remote) {
+    throw new CpmError(ERROR_CODES.notMirrored, `${filePath} of ${author}/${name} is not in the offline mirror`);
+  }
+
+  return provider.fetchFile(author, name, filePath, commit || provider.defaultRef);
+}
+
+/**
+ * Resolve a marketplace reference ([alias:]author/name[@version-or-ref])
+ * to a registry and commit, and fetch its profile.json from there.
+ * In offline mode, or without a network, the mirrored copy is used.
+ * Returns { registry, author, name, entry, commit, metadata }.
+ */
+export async function fetchMarketplaceProfile(ref) {
+  const located = await locateProfile(ref);
+  const { registry, author, name, spec, entry } = located;
+
+  if (isOfflineMode() && getRegistryProvider(registry).remote) {
+    return { registry, author, name, entry, ...await readFromMirror(registry, author, name, spec) };
+  }
+
+  try {
+    const { commit, version } = await resolveProfileRevision(registry, located, entry);
+    const metadata = await fetchMarketplaceMetadata(author, name, registry, commit);
+
+    if (version && (metadata.version || '1.0.0') !== version) {
+      throw new Error(`${author}/${name} at ${commit.slice(0, 12)} is version ${metadata.version || '1.0.0'}, not ${version}`);
+    }
+
+    return { registry, author, name, entry, commit, metadata };
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    warnUsingMirror(registry);
+    return { registry, author, name, entry, ...await readFromMirror(registry, author, name, spec) };
+  }
+}
+
+/**
+ * Whether an install reference points straight at a profile (a directory,
+ * a profile.json URL or a git repository) rather than at the marketplace
+ */
+export function isDirectSource(ref) {
+  return /^(git\+|https?:\/\/|file:\/\/|\/|\.{1,2}([\\/]|$)|~([\\/]|$)|[a-z]:[\\/])/i.test(ref);
+}
+
+/**
+ * Reject file paths in a profile.json that point outside the profile
+ */
+export function assertProfileFilePath(filePath) {
+  if (!isProfileFilePath(filePath)) {
+    throw new CpmError(ERROR_CODES.validation, `Refusing to install unexpected file: ${filePath}`);
+  }
+}
+
+/**
+ * Open a profile in a directory containing its profile.json
+ */
+function openDirectorySource(dir, label) {
+  const metadataFile = join(dir, 'profile.json');
+
+  if (!existsSync(metadataFile)) {
+    throw new Error(`No profile.json in ${dir}`);
+  }
+
+  return {
+    label,
+    metadata: JSON.parse(readFileSync(metadataFile, 'utf-8')),
+    commit: null,
+    async fetchFile(filePath) {
+      assertProfileFilePath(filePath);
+      const file = join(dir, filePath);
+
+      if (!existsSync(file)) {
+        throw new Error(`Missing file ${filePath} in ${dir}`);
+      }
+
+      return readFileSync(file);
+    },
+    cleanup() {}
+  };
+}
+
+/**
+ * Open a profile from the URL of its profile.json; the files listed in it
+ * are fetched relative to that URL
+ */
+async function openUrlSource(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status}`);
+  }
+
+  return {
+    label: url,
+    metadata: await response.json(),
+    commit: null,
+    async fetchFile(filePath) {
+      assertProfileFilePath(filePath);
+      const fileResponse = await fetch(new URL(filePath, url).href);
+
+      if (!fileResponse.ok) {
+        throw new Error(`Failed to download ${filePath}: ${fileResponse.status}`);
+      }
+
+      return Buffer.from(await fileResponse.arrayBuffer());
+    },
+    cleanup() {}
+  };
+}
+
+/**
+ * Clone a git repository into a temporary directory and open the profile
+ * in it. The fragment picks the folder ("#profiles/alice/react") and
+ * optionally a branch, tag or commit first ("#feature-x:profiles/alice/react").
+ */
+function openGitSource(ref) {
+  const [repoUrl, fragment = ''] = ref.slice('git+'.length).split('#');
+  const colon = fragment.indexOf(':');
+  const gitRef = colon === -1 ? null : fragment.slice(0, colon);
+  const subdir = colon === -1 ? fragment : fragment.slice(colon + 1);
+
+  if (subdir.split(/[\\/]/).includes('..')) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid folder in ${ref}`);
+  }
+  // Neither may be taken by git for an option
+  if (!repoUrl || repoUrl.startsWith('-')) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid repository in ${ref}`);
+  }
+  if (gitRef?.startsWith('-')) {
+    throw new CpmError(ERROR_CODES.validation, `Invalid git ref in ${ref}`);
+  }
+
+  const cloneDir = mkdtempSync(join(tmpdir(), 'cpm-git-'));
+  const git = args => execFileSync('git', args, { cwd: cloneDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 120000 }).trim();
+
+  try {
+    try {
+      git(['clone', '--quiet', '--depth', '1', ...(gitRef ? ['--branch', gitRef] : []), '--', repoUrl, '.']);
+    } catch (error) {
+      // --branch can't take a commit SHA; clone everything and check it out
+      if (!gitRef) throw error;
+      rmSync(cloneDir, { recursive: true, force: true });
+      execFileSync('git', ['clone', '--quiet', '--', repoUrl, cloneDir], { stdio: ['ignore', 'pipe', 'pipe'], timeout: 300000 });
+      git(['checkout', '--quiet', gitRef]);
+    }
+
+    const source = openDirectorySource(join(cloneDir, subdir), ref);
+    source.commit = git(['rev-parse', 'HEAD']);
+    source.cleanup = () => rmSync(cloneDir, { recursive: true, force: true });
+    return source;
+  } catch (error) {
+    rmSync(cloneDir, { recursive: true, force: true });
+    const detail = error.stderr ? error.stderr.toString().trim().split('\n').pop() : error.message;
+    throw new Error(`Could not get profile from ${ref}: ${detail}`);
+  }
+}
+
+/**
+ * Open a profile that isn't in the marketplace: a directory with a
+ * profile.json, the http(s) URL of a profile.json, or a git+https:// or
+ * git+file:// repository (cloned into a temporary directory).
+ * Returns { label, metadata, commit, fetchFile(path), cleanup() }; call
+ * cleanup() once the files have been read.
+ */
+export async function openDirectSource(ref) {
+  if (/^git\+/i.test(ref)) {
+    if (isOfflineMode()) throw new Error('Installing from git needs the network; remove --offline');
+    return openGitSource(ref);
+  }
+
+  if (/^https?:\/\//i.test(ref)) {
+    if (isOfflineMode()) throw new Error('Installing from a URL needs the network; remove --offline');
+    return openUrlSource(ref);
+  }
+
+  const dir = resolve(ref.replace(/^file:\/\//i, '').replace(/^~(?=$|[\\/])/, homedir()));
+  return openDirectorySource(dir, dir);
+}
+
+/**
+ * Collect the profile files of the live .claude folder.
+ * Returns { name, label, files } where files maps relative paths to their
+ * content as Buffers.
+ */
+export async function readClaudeDirSource() {
+  const config = await getConfig();
+  const files = new Map();
+
+  if (existsSync(config.claudeDir)) {
+    for (const file of getFilesToArchive(config.claudeDir)) {
+      files.set(file, readFileSync(join(config.claudeDir, file)));
+    }
+  }
+
+  return { name: '.claude', label: `current .claude (${config.claudeDir})`, files };
+}
+
+/**
+ * Collect the files of a locally saved profile
+ */
+function readLocalSource(name) {
+  const profilePath = getProfilePath(name);
+
+  if (!existsSync(join(profilePath, 'profile.json'))) {
+    throw new CpmError(ERROR_CODES.profileNotFound, `Profile not found: ${name}`);
+  }
+
+  const metadata = readProfileMetadata(name);
+  const contents = readProfileFiles(profilePath, null);
+  assertFilesVerified(metadata, contents, `"${name}"`);
+
+  const files = new Map(contents.map(file => [file.path, file.content]));
+
+  return { name, label: name, source: 'local', version: metadata?.version || '1.0.0', files, secrets: metadata?.secrets || [], variables: metadata?.variables };
+}
+
+/**
+ * Download the files of a marketplace profile ([alias:]author/name[@version])
+ */
+async function readMarketplaceSource(profilePath) {
+  const { registry, commit, metadata } = await fetchMarketplaceProfile(profilePath);
+  // Checked like an install: file paths, checksums and signature
+  const { files: downloaded } = await downloadVerifiedProfile({ ref: profilePath, registry: registry.alias, commit, metadata }, await getConfig());
+
+  const files = new Map(downloaded.map(file => [file.path, file.content]));
+
+  return { name: profilePath, label: `${profilePath} (${registry.alias})`, source: registry.alias, version: metadata.version || '1.0.0', files, secrets: metadata.secrets || [], variables: metadata.variables };
+}
+
+/**
+ * Resolve a profile reference: marketplace [alias:]author/name or local profile name
+ */
+export async function readProfileSource(ref) {
+  if (ref.includes('/')) return readMarketplaceSource(ref);
+  return readLocalSource(ref);
+}
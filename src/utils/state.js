@@ -0,0 +1,119 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync, cpSync } from 'fs';
+import { join, resolve } from 'path';
+import { DEFAULTS } from './config.js';
+import { hashContent } from './integrity.js';
+import { getFilesToArchive } from './snapshot.js';
+
+// What was last applied to each .claude folder, kept so `cpm status` can
+// show the active profiles and what changed since
+const STATE_DIR = join(DEFAULTS.profilesDir, '.state');
+
+/**
+ * Directory holding the state of one .claude folder
+ */
+function getStateDir(claudeDir) {
+  return join(STATE_DIR, hashContent(resolve(claudeDir)).slice(0, 16));
+}
+
+/**
+ * Hash the profile files (the SAFE_INCLUDES allowlist) of a .claude folder
+ */
+function hashClaudeDir(claudeDir) {
+  const hashes = {};
+
+  if (existsSync(claudeDir)) {
+    for (const file of getFilesToArchive(claudeDir).sort()) {
+      hashes[file] = hashContent(readFileSync(join(claudeDir, file)));
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Record the profiles just applied to a .claude folder
+ * ([{ name, source, version }], in the order applied) with the hash of
+ * every profile file, so changes made since can be listed. Only hashes are
+ * kept: the files may hold filled-in secrets. `mcpServers` names the
+ * mcp.json servers the profiles added (by default, the ones already recorded).
+ */
+export function recordActiveProfiles(claudeDir, profiles, { trigger, mcpServers } = {}) {
+  const stateDir = getStateDir(claudeDir);
+  const files = hashClaudeDir(claudeDir);
+  const servers = mcpServers || getActiveState(claudeDir)?.mcpServers || [];
+
+  rmSync(stateDir, { recursive: true, force: true });
+  mkdirSync(stateDir, { recursive: true });
+
+  const state = {
+    claudeDir: resolve(claudeDir),
+    trigger: trigger || null,
+    appliedAt: new Date().toISOString(),
+    profiles,
+    mcpServers: servers,
+    files
+  };
+  writeFileSync(join(stateDir, 'state.json'), JSON.stringify(state, null, 2));
+
+  return state;
+}
+
+/**
+ * Get what was last applied to a .claude folder, or null if nothing was
+ * recorded (or it no longer applies)
+ */
+export function getActiveState(claudeDir) {
+  const stateFile = join(getStateDir(claudeDir), 'state.json');
+
+  if (!existsSync(stateFile)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(stateFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget what was applied to a .claude folder, e.g. after a backup of
+ * it is restored
+ */
+export function clearActiveState(claudeDir) {
+  rmSync(getStateDir(claudeDir), { recursive: true, force: true });
+}
+
+/**
+ * Copy the state of a .claude folder into `destDir`, if there is one
+ */
+export function copyActiveState(claudeDir, destDir) {
+  const stateDir = getStateDir(claudeDir);
+  if (existsSync(stateDir)) {
+    cpSync(stateDir, destDir, { recursive: true });
+  }
+}
+
+/**
+ * Put back a state saved with copyActiveState (none if `srcDir` is missing)
+ */
+export function restoreActiveState(claudeDir, srcDir) {
+  clearActiveState(claudeDir);
+  if (existsSync(srcDir)) {
+    cpSync(srcDir, getStateDir(claudeDir), { recursive: true });
+  }
+}
+
+/**
+ * Compare the profile files of a .claude folder with the recorded state.
+ * Returns { added, modified, deleted } lists of paths.
+ */
+export function detectDrift(claudeDir, state) {
+  const current = hashClaudeDir(claudeDir);
+
+  return {
+    added: Object.keys(current).filter(file => !state.files[file]),
+    modified: Object.keys(current).filter(file => state.files[file] && state.files[file] !== current[file]),
+    deleted: Object.keys(state.files).filter(file => !current[file])
+  };
+}
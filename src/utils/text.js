@@ -0,0 +1,25 @@
+// Strict decoding, so content that isn't valid UTF-8 counts as binary.
+// The BOM is kept, so decoded text encodes back to the same bytes.
+const utf8 = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+/**
+ * Decode file content (a Buffer or string) as text, or null when it is
+ * binary: not valid UTF-8, or containing NUL bytes
+ */
+export function decodeText(content) {
+  if (typeof content === 'string') return content;
+  if (content.includes(0)) return null;
+
+  try {
+    return utf8.decode(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether two file contents (Buffers or strings) hold the same bytes
+ */
+export function isSameContent(a, b) {
+  return Buffer.from(a).equals(Buffer.from(b));
+}
@@ -0,0 +1,183 @@
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, writeFileSync, renameSync, rmSync, cpSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DEFAULTS } from './config.js';
+import {
+  cleanProfileContent,
+  copyDirMerge,
+  getProfileContentEntries,
+  getContentEntry
+} from './snapshot.js';
+import { copyActiveState, restoreActiveState, getActiveState } from './state.js';
+import { MCP_FILE, mergeMcpFile } from './mcp.js';
+import { CpmError } from './errors.js';
+import { getErrorCode } from './output.js';
+
+// The previous state of the most recent load, kept so `cpm undo` can revert it.
+// It holds real secret values, so it lives outside the profiles dir and is
+// readable by the user only.
+const UNDO_DIR = DEFAULTS.undoDir;
+const LEGACY_UNDO_DIR = join(DEFAULTS.profilesDir, '.undo');
+
+/**
+ * List every file under a directory as forward-slash relative paths
+ */
+function listFiles(dir, relativePath = '') {
+  const files = [];
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(join(dir, entry.name), relPath));
+    } else {
+      files.push(relPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Put a .claude directory back the way it was when `undoDir` was recorded.
+ * Removes the profile content and every entry the transaction touched,
+ * then copies the saved entries back in.
+ */
+function restoreState(claudeDir, undoDir, manifest) {
+  if (!existsSync(claudeDir)) {
+    mkdirSync(claudeDir, { recursive: true });
+  }
+
+  cleanProfileContent(claudeDir);
+  for (const entry of manifest.touched) {
+    rmSync(join(claudeDir, entry), { recursive: true, force: true });
+  }
+
+  const previousDir = join(undoDir, 'previous');
+  if (existsSync(previousDir)) {
+    copyDirMerge(previousDir, claudeDir);
+  }
+}
+
+/**
+ * Apply profile files to a .claude directory as a single transaction.
+ *
+ * `stage(dir)` must write every new file into the given staging directory;
+ * it runs (downloads included) before .claude is touched. The current profile
+ * content is then saved, the staged files are applied (after wiping existing
+ * profile content when `clean` is set), and any error puts everything back.
+ * On success the saved state becomes the target of `cpm undo`.
+ *
+ * A staged mcp.json is merged server by server into the current one (see
+ * mergeMcpFile), unless `mergeMcp` is false. `onMcpConflicts` picks between
+ * differing servers; the result lists in `mcpServers` the ones now owned
+ * by profiles, to pass on to recordActiveProfiles.
+ */
+export async function runProfileTransaction(claudeDir, { stage, clean = true, trigger, mergeMcp = true, onMcpConflicts }) {
+  const stagingDir = mkdtempSync(join(tmpdir(), 'cpm-stage-'));
+  const undoDir = `${UNDO_DIR}-${Date.now()}`;
+
+  try {
+    await stage(stagingDir);
+
+    // Keep the user's own MCP servers: only the ones profiles added get replaced
+    let mcpServers = [];
+    if (mergeMcp) {
+      const stagedMcp = join(stagingDir, MCP_FILE);
+      const merged = await mergeMcpFile(claudeDir, existsSync(stagedMcp) ? readFileSync(stagedMcp, 'utf-8') : null, {
+        owned: getActiveState(claudeDir)?.mcpServers || [],
+        replace: clean,
+        onConflicts: onMcpConflicts
+      });
+      if (merged.content === null) {
+        rmSync(stagedMcp, { force: true });
+      } else {
+        writeFileSync(stagedMcp, merged.content);
+      }
+      mcpServers = merged.servers;
+    }
+
+    const staged = listFiles(stagingDir);
+    const touched = [...new Set(staged.map(getContentEntry))];
+
+    // Save everything the transaction may remove or overwrite
+    const saved = existsSync(claudeDir)
+      ? [...new Set([...getProfileContentEntries(claudeDir), ...touched])]
+        .filter(entry => existsSync(join(claudeDir, entry)))
+      : [];
+
+    const manifest = {
+      trigger: trigger || null,
+      claudeDir,
+      createdAt: new Date().toISOString(),
+      touched,
+      saved
+    };
+
+    mkdirSync(join(undoDir, 'previous'), { recursive: true, mode: 0o700 });
+    for (const entry of saved) {
+      cpSync(join(claudeDir, entry), join(undoDir, 'previous', entry), { recursive: true });
+    }
+    // Undo also brings back which profiles were active
+    copyActiveState(claudeDir, join(undoDir, 'state'));
+    writeFileSync(join(undoDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    try {
+      mkdirSync(claudeDir, { recursive: true });
+      if (clean) {
+        cleanProfileContent(claudeDir);
+      }
+      copyDirMerge(stagingDir, claudeDir);
+    } catch (error) {
+      try {
+        restoreState(claudeDir, undoDir, manifest);
+      } catch (restoreError) {
+        throw new CpmError(getErrorCode(error), `${error.message} (restoring the previous state also failed: ${restoreError.message}; saved copy kept in ${undoDir})`);
+      }
+      rmSync(undoDir, { recursive: true, force: true });
+      throw new CpmError(getErrorCode(error), `${error.message} (your .claude folder was left unchanged)`);
+    }
+
+    // Keep only the most recent transaction for undo, and none where older
+    // versions kept it
+    rmSync(UNDO_DIR, { recursive: true, force: true });
+    rmSync(LEGACY_UNDO_DIR, { recursive: true, force: true });
+    renameSync(undoDir, UNDO_DIR);
+
+    return { claudeDir, files: staged, mcpServers };
+  } finally {
+    rmSync(stagingDir, { recursive: true, force: true });
+    if (existsSync(undoDir) && !existsSync(join(undoDir, 'manifest.json'))) {
+      rmSync(undoDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Get the manifest of the most recent undoable load, or null if there is none
+ */
+export function getLastTransaction() {
+  const manifestPath = join(UNDO_DIR, 'manifest.json');
+
+  if (!existsSync(manifestPath)) {
+    return null;
+  }
+
+  return JSON.parse(readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Revert the most recent load, restoring the .claude content it replaced
+ */
+export function undoLastTransaction() {
+  const manifest = getLastTransaction();
+
+  if (!manifest) {
+    throw new Error('Nothing to undo');
+  }
+
+  restoreState(manifest.claudeDir, UNDO_DIR, manifest);
+  restoreActiveState(manifest.claudeDir, join(UNDO_DIR, 'state'));
+  rmSync(UNDO_DIR, { recursive: true, force: true });
+
+  return manifest;
+}
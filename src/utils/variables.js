@@ -0,0 +1,254 @@
+import inquirer from 'inquirer';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { DEFAULTS } from './config.js';
+import { canPrompt } from './prompts.js';
+import { CpmError, ERROR_CODES } from './errors.js';
+import { decodeText, isSameContent } from './text.js';
+
+// Values chosen for each profile's variables, reused on re-install
+const VALUES_FILE = join(DEFAULTS.profilesDir, 'variables.json');
+
+export const VARIABLE_TYPES = ['string', 'number', 'boolean'];
+
+// {{name}} or {{ name }}
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*\}\}/g;
+
+/**
+ * Check the variables declared in profile.json:
+ * { name: { prompt, default, type, choices } }
+ */
+export function validateVariables(variables = {}) {
+  for (const [name, spec] of Object.entries(variables)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name)) {
+      throw new CpmError(ERROR_CODES.validation, `Invalid variable name: ${name}`);
+    }
+    const type = spec?.type || 'string';
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw new CpmError(ERROR_CODES.validation, `Variable "${name}" has unknown type "${type}". Use one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+    if (spec?.choices !== undefined && !Array.isArray(spec.choices)) {
+      throw new CpmError(ERROR_CODES.validation, `Variable "${name}" choices must be a list`);
+    }
+  }
+}
+
+/**
+ * Convert a raw value (from --set, a values file or a prompt) to the
+ * variable's type
+ */
+function coerceValue(name, spec = {}, raw) {
+  const type = spec.type || 'string';
+  let value = raw;
+
+  if (type === 'number') {
+    value = Number(raw);
+    if (raw === '' || raw === null || Number.isNaN(value)) {
+      throw new CpmError(ERROR_CODES.validation, `Variable "${name}" must be a number, got "${raw}"`);
+    }
+  } else if (type === 'boolean') {
+    if (typeof raw !== 'boolean') {
+      const text = String(raw).toLowerCase();
+      if (!['true', 'false', 'yes', 'no', '1', '0'].includes(text)) {
+        throw new CpmError(ERROR_CODES.validation, `Variable "${name}" must be true or false, got "${raw}"`);
+      }
+      value = ['true', 'yes', '1'].includes(text);
+    }
+  } else {
+    value = String(raw);
+  }
+
+  if (spec.choices && !spec.choices.map(String).includes(String(value))) {
+    throw new CpmError(ERROR_CODES.validation, `Variable "${name}" must be one of: ${spec.choices.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse repeated --set key=value options into an object
+ */
+export function parseSetOptions(pairs = []) {
+  const values = {};
+
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new CpmError(ERROR_CODES.validation, `Invalid --set "${pair}". Use: --set key=value`);
+    }
+    values[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+
+  return values;
+}
+
+/**
+ * Read a JSON values file ({ "name": value, ... })
+ */
+function readValuesFile(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Values file not found: ${file}`);
+  }
+
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    throw new CpmError(ERROR_CODES.validation, `Invalid JSON in values file: ${file}`);
+  }
+}
+
+/**
+ * Read all saved variable values, keyed by profile
+ */
+function loadSavedValues() {
+  if (!existsSync(VALUES_FILE)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(VALUES_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the values last chosen for a profile ("name" or "author/name")
+ */
+export function getSavedValues(profileRef) {
+  return loadSavedValues()[profileRef] || {};
+}
+
+/**
+ * Remember the values chosen for a profile so a re-install can reuse them
+ */
+export function saveValues(profileRef, values) {
+  if (Object.keys(values).length === 0) return;
+
+  const all = loadSavedValues();
+  all[profileRef] = values;
+
+  mkdirSync(DEFAULTS.profilesDir, { recursive: true });
+  writeFileSync(VALUES_FILE, JSON.stringify(all, null, 2));
+}
+
+/**
+ * Work out a value for every declared variable. --set values win, then the
+ * values file, then `assigned` values (e.g. from .cpm.json); anything left
+ * is asked for, defaulting to the value saved from the last install or else
+ * the declared default. Without prompts (no terminal, or --yes) the saved
+ * or declared default is used, and a variable with neither is an error.
+ * Pass strict: false to ignore given values the profile doesn't declare
+ * (when they are meant for another profile).
+ */
+export async function resolveVariableValues(profileRef, variables = {}, options = {}) {
+  const { interactive = canPrompt(), strict = true } = options;
+  validateVariables(variables);
+
+  const names = Object.keys(variables);
+  const values = {};
+
+  const given = {
+    ...options.assigned,
+    ...(options.values ? readValuesFile(options.values) : {}),
+    ...parseSetOptions(options.set)
+  };
+
+  // Checked even when nothing is declared, so a mistyped --set never goes unnoticed
+  for (const name of Object.keys(given)) {
+    if (strict && !variables[name]) {
+      const declared = names.length > 0 ? `This profile declares: ${names.join(', ')}` : 'This profile declares no variables';
+      throw new CpmError(ERROR_CODES.validation, `Unknown variable "${name}". ${declared}`);
+    }
+  }
+
+  if (names.length === 0) return values;
+
+  const saved = getSavedValues(profileRef);
+
+  for (const name of names) {
+    const spec = variables[name] || {};
+    const fallback = saved[name] ?? spec.default;
+
+    if (given[name] !== undefined) {
+      values[name] = coerceValue(name, spec, given[name]);
+      continue;
+    }
+
+    if (!interactive) {
+      if (fallback === undefined) {
+        throw new CpmError(ERROR_CODES.validation, `No value for variable "${name}". Pass it with --set ${name}=<value>`);
+      }
+      values[name] = coerceValue(name, spec, fallback);
+      continue;
+    }
+
+    const type = spec.type || 'string';
+    const question = {
+      name: 'value',
+      message: spec.prompt || name,
+      default: fallback
+    };
+
+    if (spec.choices) {
+      Object.assign(question, { type: 'list', choices: spec.choices });
+    } else if (type === 'boolean') {
+      Object.assign(question, { type: 'confirm', default: fallback === undefined ? false : coerceValue(name, spec, fallback) });
+    } else {
+      Object.assign(question, {
+        type: 'input',
+        validate: input => {
+          try {
+            coerceValue(name, spec, input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      });
+    }
+
+    const { value } = await inquirer.prompt([question]);
+    values[name] = coerceValue(name, spec, value);
+  }
+
+  return values;
+}
+
+/**
+ * Replace {{name}} placeholders for declared variables in a list of
+ * { path, content } files. Unknown {{...}} text is left alone, and binary
+ * files are passed through untouched.
+ */
+export function renderTemplateFiles(files, variables = {}, values = {}) {
+  if (Object.keys(variables).length === 0) return files;
+
+  return files.map(file => {
+    const text = decodeText(file.content);
+    if (text === null || !text.includes('{{')) return file;
+
+    const rendered = text.replace(TEMPLATE_PATTERN, (match, name) => (
+      variables[name] && values[name] !== undefined ? String(values[name]) : match
+    ));
+
+    return rendered === text ? file : { path: file.path, content: rendered };
+  });
+}
+
+/**
+ * When re-saving a profile, keep the {{variable}} template for every file
+ * whose new content is just that template rendered with the saved values
+ */
+export function restoreTemplateFiles(files, templates, variables = {}, values = {}) {
+  if (Object.keys(variables).length === 0) return files;
+
+  const byPath = new Map(templates.map(template => [template.path, template]));
+
+  return files.map(file => {
+    const template = byPath.get(file.path);
+    if (!template || !decodeText(template.content)?.includes('{{')) return file;
+
+    const [rendered] = renderTemplateFiles([template], variables, values);
+    return isSameContent(rendered.content, file.content) ? template : file;
+  });
+}